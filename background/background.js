@@ -4,6 +4,30 @@
  * サイドパネルの開閉制御、メッセージ中継、ストレージ管理を担当
  */
 
+importScripts(
+  '../lib/name-dictionary.js',
+  '../lib/surrogate-generator.js',
+  '../lib/structured-text.js',
+  '../lib/masking-engine.js',
+  '../lib/masking-session.js',
+  '../lib/site-adapters.js',
+  '../lib/managed-policy.js',
+  '../lib/mapping-vault.js',
+  '../lib/usage-stats.js'
+);
+
+// マスキングエンジンに反映する設定項目
+const ENGINE_SETTING_KEYS = ['customPatterns', 'disabledPatterns', 'patternRules', 'labelScheme', 'replacementMode', 'maskingStrategies', 'hashSalt', 'structuredMasking', 'structuredFields', 'ignoredTerms', 'allowlist', 'denylist'];
+
+// 動的に登録するコンテンツスクリプト（設定画面で追加したサイト用）のID
+const DYNAMIC_CONTENT_SCRIPT_ID = 'privacyshield-sites';
+
+// 対応表の保管庫の自動ロックを確認するアラーム
+const VAULT_LOCK_ALARM = 'privacyshield-vault-lock';
+
+// 保存期間を過ぎた対応表を削除するアラーム
+const RETENTION_ALARM = 'privacyshield-retention-cleanup';
+
 // 拡張機能の有効/無効状態
 let isEnabled = true;
 
@@ -20,12 +44,34 @@ chrome.runtime.onInstalled.addListener(async (details) => {
       isEnabled: true,
       customPatterns: [],
       disabledPatterns: [],
+      patternRules: {},
       autoMask: true,
-      showNotifications: true
+      sendGuardPolicy: 'mask',
+      showNotifications: true,
+      labelScheme: 'alpha',
+      replacementMode: 'label',
+      maskingStrategies: {},
+      structuredMasking: true,
+      structuredFields: [],
+      enabledSites: [],
+      customSites: [],
+      ignoredTerms: [],
+      allowlist: [],
+      denylist: [],
+      autoLockMinutes: 15,
+      ...MappingVault.RETENTION_DEFAULTS,
+      autoRestoreResponses: true
     });
 
     console.log('PrivacyShield for AI がインストールされました');
   }
+
+  // ハッシュ方式のラベルに混ぜる値（更新で追加された設定のため、既存の利用者にも作成する）
+  const { hashSalt } = await chrome.storage.sync.get('hashSalt');
+  if (!hashSalt) {
+    const bytes = crypto.getRandomValues(new Uint8Array(16));
+    await chrome.storage.sync.set({ hashSalt: Array.from(bytes, (byte) => byte.toString(16).padStart(2, '0')).join('') });
+  }
 });
 
 /**
@@ -51,20 +97,154 @@ chrome.tabs.onActivated.addListener(async (activeInfo) => {
  * タブのURLが変更されたときにサイドパネルの状態を更新
  */
 chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
+  if (changeInfo.url) {
+    // 「新しいチャット」で始めた会話のセッションを、会話IDが付いたURLへ引き継ぐ
+    const previousUrl = sidePanelState.get(tabId)?.url;
+    if (previousUrl) {
+      await MaskingSession.carryOver(
+        MaskingSession.keyFromUrl(previousUrl),
+        MaskingSession.keyFromUrl(changeInfo.url)
+      ).catch((error) => console.error('セッションの引き継ぎに失敗:', error));
+      sidePanelState.get(tabId).url = changeInfo.url;
+    }
+  }
+
   if (changeInfo.status === 'complete') {
     await updateSidePanelState(tab);
   }
 });
 
+/**
+ * 設定から対応サイトのレジストリを構築
+ */
+async function loadSiteRegistry() {
+  const settings = await ManagedPolicy.getSettings(['enabledSites', 'customSites']);
+  return SiteAdapterRegistry.fromSettings(settings);
+}
+
+/**
+ * 設定画面で追加したサイトにコンテンツスクリプトを登録
+ * manifestに含まれるサイト以外は、権限が許可されたホストにのみ登録する
+ */
+async function syncDynamicContentScripts() {
+  try {
+    const registry = await loadSiteRegistry();
+    const matches = [];
+    for (const pattern of registry.getMatchPatterns({ onlyDynamic: true })) {
+      if (await chrome.permissions.contains({ origins: [pattern] })) {
+        matches.push(pattern);
+      }
+    }
+
+    const registered = await chrome.scripting.getRegisteredContentScripts({ ids: [DYNAMIC_CONTENT_SCRIPT_ID] });
+    if (registered.length > 0) {
+      await chrome.scripting.unregisterContentScripts({ ids: [DYNAMIC_CONTENT_SCRIPT_ID] });
+    }
+
+    if (matches.length > 0) {
+      await chrome.scripting.registerContentScripts([{
+        id: DYNAMIC_CONTENT_SCRIPT_ID,
+        matches,
+        js: ['lib/name-dictionary.js', 'lib/surrogate-generator.js', 'lib/structured-text.js', 'lib/masking-engine.js', 'lib/site-adapters.js', 'lib/managed-policy.js', 'content/content.js'],
+        css: ['content/content.css'],
+        runAt: 'document_end'
+      }]);
+    }
+
+    // コンテキストメニューの対象サイトも合わせる
+    await chrome.contextMenus.update('privacyshield-mask-selection', {
+      documentUrlPatterns: registry.getMatchPatterns()
+    }).catch(() => {});
+  } catch (error) {
+    console.error('コンテンツスクリプトの登録に失敗:', error);
+  }
+}
+
+chrome.runtime.onStartup.addListener(syncDynamicContentScripts);
+chrome.permissions.onAdded.addListener(syncDynamicContentScripts);
+chrome.permissions.onRemoved.addListener(syncDynamicContentScripts);
+
+/**
+ * 定期処理のアラームを登録
+ */
+function scheduleAlarms() {
+  chrome.alarms.create(VAULT_LOCK_ALARM, { periodInMinutes: 1 });
+  chrome.alarms.create(RETENTION_ALARM, { periodInMinutes: 30 });
+}
+
+chrome.runtime.onInstalled.addListener(scheduleAlarms);
+chrome.runtime.onStartup.addListener(scheduleAlarms);
+
+/**
+ * 保存期間の設定に従って保存済みの対応表を削除
+ * @param {Object} options - { startup: ブラウザの起動時かどうか }
+ */
+async function cleanupSavedMappings({ startup = false } = {}) {
+  try {
+    const policy = await MappingVault.getRetentionPolicy();
+
+    // 「ブラウザを閉じたら削除」は、終了時には処理を完了できないため次回の起動時に削除する
+    // パスフレーズの設定は残す
+    if (startup && policy.retentionClearOnClose) {
+      await MappingVault.clearMappings();
+      return;
+    }
+
+    const removed = await MappingVault.applyRetention();
+    if (removed > 0) {
+      console.log(`保存期間を過ぎた対応表を${removed}件削除しました`);
+    }
+  } catch (error) {
+    console.error('対応表の削除に失敗:', error);
+  }
+}
+
+chrome.runtime.onStartup.addListener(() => cleanupSavedMappings({ startup: true }));
+
+/**
+ * 保存期間の設定が変更されたら、すぐに反映
+ */
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'sync' && (changes.retentionMaxCount || changes.retentionMaxDays)) {
+    cleanupSavedMappings();
+  }
+});
+
+/**
+ * 管理ポリシーが変更されたら、対応サイト・有効状態・マスキング設定に反映
+ */
+chrome.storage.onChanged.addListener(async (changes, areaName) => {
+  if (areaName !== 'managed') return;
+
+  await syncDynamicContentScripts();
+  const { isEnabled } = await ManagedPolicy.getSettings(['isEnabled']);
+  await notifyAllTabs({ type: 'ENABLED_STATE_CHANGED', isEnabled: isEnabled !== false });
+  await notifySidePanel({ type: 'SETTINGS_UPDATED' });
+});
+
+/**
+ * 定期処理
+ * サイドパネルを閉じていても、一定時間操作がなければ保管庫の鍵を破棄し、
+ * 保存期間を過ぎた対応表を削除する
+ */
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+  if (alarm.name === VAULT_LOCK_ALARM) {
+    await MappingVault.lockIfIdle().catch((error) => {
+      console.error('保管庫の自動ロックに失敗:', error);
+    });
+  } else if (alarm.name === RETENTION_ALARM) {
+    await cleanupSavedMappings();
+  }
+});
+
 /**
  * サイドパネルの有効/無効状態を更新
  */
 async function updateSidePanelState(tab) {
   if (!tab.url) return;
 
-  const isClaudeAi = tab.url.includes('claude.ai');
-  const isChatGPT = tab.url.includes('chat.openai.com');
-  const isSupported = isClaudeAi || isChatGPT;
+  const adapter = (await loadSiteRegistry()).findByUrl(tab.url);
+  const isSupported = adapter !== null;
 
   try {
     await chrome.sidePanel.setOptions({
@@ -74,8 +254,14 @@ async function updateSidePanelState(tab) {
 
     sidePanelState.set(tab.id, {
       enabled: isSupported,
-      service: isClaudeAi ? 'claude' : isChatGPT ? 'chatgpt' : null
+      service: adapter?.id || null,
+      url: tab.url
     });
+
+    // 対応していないページに移動した場合は、前のページの検知件数を消す
+    if (!isSupported) {
+      await updateBadge(tab.id, 0);
+    }
   } catch (error) {
     console.error('サイドパネル設定の更新に失敗:', error);
   }
@@ -100,28 +286,40 @@ async function handleMessage(message, sender) {
     case 'SIDEPANEL_READY':
       return { success: true, message: 'サイドパネル準備完了' };
 
-    case 'GET_ENABLED_STATE':
-      const { isEnabled } = await chrome.storage.sync.get('isEnabled');
-      return { success: true, isEnabled };
+    case 'GET_ENABLED_STATE': {
+      const policy = await ManagedPolicy.load();
+      const { isEnabled } = ManagedPolicy.apply(await chrome.storage.sync.get('isEnabled'), policy);
+      // ポリシーで固定されている場合はポップアップのトグルを操作できなくする
+      return { success: true, isEnabled, locked: policy.forceEnabled };
+    }
 
     case 'SET_ENABLED_STATE':
+      // 組織のポリシーで常に有効にしている場合は無効にできない
+      if (!message.isEnabled && (await ManagedPolicy.load()).forceEnabled) {
+        return { success: false, error: '組織のポリシーにより保護機能を無効にできません' };
+      }
       await chrome.storage.sync.set({ isEnabled: message.isEnabled });
       // 全タブのコンテンツスクリプトに通知
       await notifyAllTabs({ type: 'ENABLED_STATE_CHANGED', isEnabled: message.isEnabled });
       return { success: true };
 
     case 'GET_SETTINGS':
-      const settings = await chrome.storage.sync.get([
+      const settings = await ManagedPolicy.getSettings([
         'isEnabled',
         'customPatterns',
         'disabledPatterns',
         'autoMask',
-        'showNotifications'
+        'sendGuardPolicy',
+        'showNotifications',
+        'labelScheme',
+        'replacementMode'
       ]);
       return { success: true, settings };
 
     case 'SAVE_SETTINGS':
       await chrome.storage.sync.set(message.settings);
+      // 対応サイトの変更を反映
+      await syncDynamicContentScripts();
       // 設定変更を通知
       await notifySidePanel({ type: 'SETTINGS_UPDATED' });
       return { success: true };
@@ -131,10 +329,59 @@ async function handleMessage(message, sender) {
       await notifySidePanel({ type: 'TEXT_FROM_PAGE', text: message.text });
       return { success: true };
 
+    case 'MASK_TEXT':
+      // 送信前チェックからの自動マスキング（会話セッションのラベルを使用）
+      return await maskTextForConversation(message.text, message.url || sender.tab?.url, {
+        ignore: message.ignore,
+        include: message.include
+      });
+
+    case 'PREVIEW_MASK':
+      // 入力欄のハイライト用（セッションには確定しない）
+      return await maskTextForConversation(message.text, message.url || sender.tab?.url, {
+        ignore: message.ignore,
+        commit: false
+      });
+
+    case 'GET_SESSION_MAPPING': {
+      // AIの返答の復元用（送信元タブの会話のみ）
+      const session = await MaskingSession.load(MaskingSession.keyFromUrl(sender.tab?.url || ''));
+      return { success: true, mappingTable: Object.fromEntries(session.mappingTable) };
+    }
+
+    case 'CARRY_OVER_SESSION':
+      // サイドパネルからのセッションの引き継ぎ（保存はすべてバックグラウンドで直列化する）
+      await MaskingSession.carryOver(message.from, message.to);
+      return { success: true };
+
+    case 'RESET_SESSION':
+      // サイドパネルからの会話セッションの破棄
+      await MaskingSession.remove(message.key);
+      return { success: true };
+
+    case 'MASK_ENTITY':
+      // 入力欄で個別にマスキングする項目のラベルを確定
+      return await labelEntityForConversation(message.patternType, message.text, message.url || sender.tab?.url);
+
     case 'REQUEST_MASKED_TEXT':
       // マスキング済みテキストを要求
       return await requestMaskedTextFromSidePanel();
 
+    case 'RECORD_USAGE':
+      // 利用状況の記録（件数と種類のみ。サイドパネルは対象のタブのURLを指定する）
+      await recordUsage(message.event, message.url || sender.tab?.url);
+      return { success: true };
+
+    case 'UPDATE_DETECTION_COUNT': {
+      // 入力欄の未マスキングの個人情報の件数をバッジに表示
+      if (!sender.tab) return { success: false, error: 'No tab' };
+      const { sendGuardPolicy, autoMask } = await ManagedPolicy.getSettings(['sendGuardPolicy', 'autoMask']);
+      // 送信前チェックが無効の場合は、このまま送信すると個人情報が送られる
+      const policy = sendGuardPolicy || (autoMask !== false ? 'mask' : 'confirm');
+      await updateBadge(sender.tab.id, message.count, { leaking: policy === 'off' });
+      return { success: true };
+    }
+
     case 'OPEN_SIDEPANEL':
       // サイドパネルを開く
       if (sender.tab) {
@@ -147,6 +394,70 @@ async function handleMessage(message, sender) {
   }
 }
 
+/**
+ * 設定を反映したマスキングエンジンを作成
+ */
+async function createConfiguredEngine() {
+  const settings = await ManagedPolicy.getSettings(ENGINE_SETTING_KEYS);
+  const engine = new MaskingEngine();
+  engine.configure(settings);
+  return engine;
+}
+
+/**
+ * 会話セッションを使ってテキストをマスキング
+ * サイドパネルと同じラベルを使うため、commit時は結果をセッションに蓄積する
+ */
+async function maskTextForConversation(text, url, { ignore = [], include = [], commit = true } = {}) {
+  const engine = await createConfiguredEngine();
+  const key = MaskingSession.keyFromUrl(url || '');
+
+  // 確定する場合は、同じ会話への他の更新と重ならないよう読み込みから保存までを直列化
+  const result = commit
+    ? await MaskingSession.update(key, (session) => engine.mask(text, { session, ignore, include }))
+    : engine.mask(text, { session: (await MaskingSession.load(key)).clone(), ignore, include });
+  if (commit && result.detections.length > 0) {
+    await recordUsage({ kind: 'masking', types: UsageStats.countTypes(result.detections) }, url);
+  }
+
+  return {
+    success: true,
+    maskedText: result.maskedText,
+    detectionCount: result.detections.length,
+    detections: result.detections
+  };
+}
+
+/**
+ * 会話セッションで1件のエンティティにラベルを割り当てる
+ */
+async function labelEntityForConversation(patternType, text, url) {
+  const engine = await createConfiguredEngine();
+  const label = await MaskingSession.update(
+    MaskingSession.keyFromUrl(url || ''),
+    (session) => engine.labelFor(patternType, text, { session })
+  );
+  if (!label) {
+    return { success: false, error: 'Unknown pattern type' };
+  }
+
+  await recordUsage({ kind: 'masking', types: { [patternType]: 1 } }, url);
+  return { success: true, label };
+}
+
+/**
+ * 利用状況を統計に記録
+ * @param {Object} event - { kind: 'masking' | 'blockedSend', types }
+ * @param {string} url - 操作したページのURL（ホスト名のみ記録）
+ */
+async function recordUsage(event, url) {
+  if (event?.kind === 'masking') {
+    await UsageStats.recordMasking({ url, types: event.types });
+  } else if (event?.kind === 'blockedSend') {
+    await UsageStats.recordBlockedSend({ url });
+  }
+}
+
 /**
  * サイドパネルにメッセージを送信
  */
@@ -176,7 +487,8 @@ async function requestMaskedTextFromSidePanel() {
  */
 async function notifyAllTabs(message) {
   try {
-    const tabs = await chrome.tabs.query({ url: ['https://claude.ai/*', 'https://chat.openai.com/*'] });
+    const registry = await loadSiteRegistry();
+    const tabs = await chrome.tabs.query({ url: registry.getMatchPatterns() });
     for (const tab of tabs) {
       try {
         await chrome.tabs.sendMessage(tab.id, message);
@@ -192,13 +504,16 @@ async function notifyAllTabs(message) {
 /**
  * コンテキストメニューを作成
  */
-chrome.runtime.onInstalled.addListener(() => {
+chrome.runtime.onInstalled.addListener(async () => {
   chrome.contextMenus.create({
     id: 'privacyshield-mask-selection',
     title: 'PrivacyShieldでマスキング',
     contexts: ['selection'],
-    documentUrlPatterns: ['https://claude.ai/*', 'https://chat.openai.com/*']
+    documentUrlPatterns: new SiteAdapterRegistry().getMatchPatterns()
   });
+
+  // 追加サイトのコンテンツスクリプトを登録（メニューの対象サイトも更新）
+  await syncDynamicContentScripts();
 });
 
 /**
@@ -220,13 +535,23 @@ chrome.contextMenus.onClicked.addListener(async (info, tab) => {
 
 /**
  * 拡張機能アイコンのバッジを更新
+ * @param {number} tabId - タブID
+ * @param {number} detectionCount - 入力欄の未マスキングの個人情報の件数
+ * @param {Object} options - { leaking: 送信すると個人情報がそのまま送られるか（赤で表示） }
  */
-async function updateBadge(tabId, detectionCount) {
+async function updateBadge(tabId, detectionCount, { leaking = false } = {}) {
   if (detectionCount > 0) {
     await chrome.action.setBadgeText({ text: String(detectionCount), tabId });
-    await chrome.action.setBadgeBackgroundColor({ color: '#f59e0b', tabId });
+    await chrome.action.setBadgeBackgroundColor({ color: leaking ? '#ef4444' : '#f59e0b', tabId });
+    await chrome.action.setTitle({
+      title: leaking
+        ? `PrivacyShield for AI - 個人情報 ${detectionCount}件（送信前チェックが無効のため、このまま送信されます）`
+        : `PrivacyShield for AI - 個人情報 ${detectionCount}件（送信時にチェックします）`,
+      tabId
+    });
   } else {
     await chrome.action.setBadgeText({ text: '', tabId });
+    await chrome.action.setTitle({ title: 'PrivacyShield for AI', tabId });
   }
 }
 
@@ -1,7 +1,8 @@
 /**
  * PrivacyShield for AI - コンテンツスクリプト
  *
- * Claude.aiのテキスト入力を監視し、サイドパネルとの通信を行う
+ * 対応AIサービスのテキスト入力を監視し、サイドパネルとの通信を行う
+ * サイトごとの差異は lib/site-adapters.js のアダプターで吸収する
  */
 
 (function () {
@@ -19,22 +20,56 @@
   // 最後に検知した入力値（重複送信防止）
   let lastInputValue = '';
 
-  /**
-   * Claude.aiの入力欄セレクター
-   */
-  const CLAUDE_INPUT_SELECTORS = [
-    '[data-placeholder="Reply to Claude…"]',
-    '[contenteditable="true"]',
-    'div.ProseMirror',
-    'textarea'
-  ];
+  // 現在のページに対応するサイトアダプター（init()で決定）
+  let siteAdapter = null;
+
+  // サイトのエディタに合わせたテキスト取得・設定処理
+  let siteEditor = SiteAdapterRegistry.EDITORS.plain;
+
+  // 送信前チェック用のマスキングエンジン（設定はinit()で反映）
+  const maskingEngine = new MaskingEngine();
+
+  // 送信前チェックのポリシー
+  // mask: 自動でマスキングして送信 / confirm: 確認ダイアログ / block: 送信を止める / off: チェックしない
+  let sendGuardPolicy = 'mask';
+
+  // 管理ポリシーでこのサイトへの送信が禁止されているか
+  let siteBlocked = false;
+
+  // 次の送信操作を1回だけチェックせずに通す（マスキング後・確認後の再送信用）
+  let allowNextSend = false;
+
+  // 今回のプロンプトに限り無視する語句（入力欄が空になるとリセット）
+  const ignoredOnce = new Set();
+
+  // 入力欄のインラインハイライトの状態
+  const highlight = {
+    layer: null,   // ハイライトを描画するレイヤー
+    popover: null, // ホバー時の操作メニュー
+    input: null,   // 対象の入力欄
+    model: null,   // 検知したときのテキストとDOM位置の対応
+    items: [],     // { detection, rects }
+    timer: null,   // 再検知のデバウンス用
+    frame: null    // 再描画の間引き用
+  };
+
+  // AIの返答の実名表示（画面上でのみ復元し、サービスには送らない）
+  const responseRestore = {
+    enabled: true,           // 設定「AIの返答を自動で復号化」
+    showOriginals: true,     // 画面上の表示切り替え
+    mappingTable: new Map(), // 会話セッションの対応表
+    sessionUrl: null,        // 対応表を取得したページのURL
+    fetchedAt: 0,            // 対応表を取得した時刻
+    timer: null,             // 返答の描画完了待ち
+    toggle: null             // 表示切り替えボタン
+  };
 
   /**
    * 入力欄を検索
    */
   function findInputElements() {
     const inputs = [];
-    for (const selector of CLAUDE_INPUT_SELECTORS) {
+    for (const selector of siteAdapter.inputSelectors) {
       const elements = document.querySelectorAll(selector);
       elements.forEach((el) => {
         if (el && !observedInputs.has(el)) {
@@ -49,24 +84,14 @@
    * 入力欄のテキストを取得
    */
   function getInputText(element) {
-    if (element.tagName === 'TEXTAREA' || element.tagName === 'INPUT') {
-      return element.value;
-    }
-    return element.textContent || element.innerText || '';
+    return siteEditor.getText(element);
   }
 
   /**
    * 入力欄にテキストを設定
    */
   function setInputText(element, text) {
-    if (element.tagName === 'TEXTAREA' || element.tagName === 'INPUT') {
-      element.value = text;
-      element.dispatchEvent(new Event('input', { bubbles: true }));
-    } else {
-      // contenteditableの場合
-      element.textContent = text;
-      element.dispatchEvent(new InputEvent('input', { bubbles: true, data: text }));
-    }
+    siteEditor.setText(element, text);
   }
 
   /**
@@ -75,9 +100,17 @@
   function handleInput(event) {
     if (!isEnabled) return;
 
-    const element = event.target;
+    const element = findObservedInput(event.target) || event.target;
     const text = getInputText(element);
 
+    // 入力欄のハイライトを更新
+    scheduleHighlight(element);
+
+    // 空の場合は「今回は無視」をリセット（送信後に入力欄が空になるため）
+    if (!text.trim()) {
+      ignoredOnce.clear();
+    }
+
     // 空または前回と同じ場合はスキップ
     if (!text.trim() || text === lastInputValue) return;
 
@@ -92,6 +125,800 @@
     });
   }
 
+  /**
+   * 設定を読み込んでエンジンと送信前チェックに反映
+   */
+  async function loadSettings() {
+    try {
+      // 管理ポリシーがある場合は利用者の設定より優先する
+      const settings = await ManagedPolicy.getSettings([
+        'customPatterns',
+        'disabledPatterns',
+        'patternRules',
+        'labelScheme',
+        'replacementMode',
+        'maskingStrategies',
+        'hashSalt',
+        'structuredMasking',
+        'structuredFields',
+        'ignoredTerms',
+        'allowlist',
+        'denylist',
+        'autoMask',
+        'sendGuardPolicy',
+        'autoRestoreResponses'
+      ]);
+      maskingEngine.configure(settings);
+      responseRestore.enabled = settings.autoRestoreResponses !== false;
+      // 未設定の場合は従来の「自動マスキング」設定から決定
+      sendGuardPolicy = settings.sendGuardPolicy || (settings.autoMask !== false ? 'mask' : 'confirm');
+      siteBlocked = ManagedPolicy.isBlockedSite(location.hostname, settings.blockedSites);
+    } catch (error) {
+      // 読み込めない場合はデフォルト設定のまま
+    }
+  }
+
+  /**
+   * イベントの発生元を含む監視中の入力欄を取得
+   */
+  function findObservedInput(target) {
+    for (const element of observedInputs) {
+      if (element === target || element.contains(target)) {
+        return element;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * 送信ボタンを取得
+   */
+  function findSubmitButton() {
+    for (const selector of siteAdapter.submitSelectors) {
+      const button = document.querySelector(selector);
+      if (button) return button;
+    }
+    return null;
+  }
+
+  /**
+   * Enterキーによる送信を検知
+   */
+  function handleSendKeydown(event) {
+    // Shift+Enterは改行、IME変換中のEnterは確定操作
+    if (event.key !== 'Enter' || event.shiftKey || event.isComposing || event.keyCode === 229) return;
+
+    const input = findObservedInput(event.target);
+    if (input) {
+      guardSend(event, input);
+    }
+  }
+
+  /**
+   * 送信ボタンのクリックを検知
+   */
+  function handleSubmitClick(event) {
+    const isSubmit = siteAdapter.submitSelectors.some((selector) => event.target.closest?.(selector));
+    if (!isSubmit) return;
+
+    // フォーカス中の入力欄、なければテキストが入っている入力欄を対象にする
+    const input = findObservedInput(document.activeElement) ||
+      [...observedInputs].find((element) => element.isConnected && getInputText(element).trim());
+    if (input) {
+      guardSend(event, input);
+    }
+  }
+
+  /**
+   * 送信前チェック
+   * 個人情報が含まれる場合は送信を止め、ポリシーに応じてマスキング・確認・ブロックを行う
+   */
+  function guardSend(event, input) {
+    if (allowNextSend) {
+      allowNextSend = false;
+      return;
+    }
+
+    // ポリシーで禁止されたサイトは保護機能のオン/オフに関わらず送信させない
+    if (siteBlocked) {
+      event.preventDefault();
+      event.stopImmediatePropagation();
+      showSendGuardNotice('このAIサービスへの送信は組織のポリシーで禁止されています');
+      chrome.runtime.sendMessage({ type: 'RECORD_USAGE', event: { kind: 'blockedSend' } }).catch(() => {});
+      return;
+    }
+    if (!isEnabled || sendGuardPolicy === 'off') return;
+
+    const text = getInputText(input);
+    // 代替値で置き換え済みの部分は個人情報として扱わない
+    const { detections } = maskingEngine.mask(text, {
+      ignore: [...ignoredOnce, ...responseRestore.mappingTable.keys()]
+    });
+    if (detections.length === 0) return;
+
+    // 送信を中断（判定は同期的に行う必要がある）
+    event.preventDefault();
+    event.stopImmediatePropagation();
+
+    if (sendGuardPolicy === 'mask') {
+      maskAndSend(input, text, detections);
+    } else {
+      showSendGuardDialog(input, text, detections);
+    }
+  }
+
+  /**
+   * 会話セッションのラベルでマスキングして送信
+   */
+  async function maskAndSend(input, text, detections) {
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: 'MASK_TEXT',
+        text,
+        url: location.href,
+        ignore: [...ignoredOnce]
+      });
+      if (!response?.success) throw new Error(response?.error || 'マスキングに失敗しました');
+
+      setInputText(input, response.maskedText);
+      submitInput(input, response.maskedText);
+      // 返答の復元に使う対応表を更新
+      responseRestore.fetchedAt = 0;
+      showSendGuardNotice(`${response.detectionCount}件の個人情報をマスキングして送信しました`);
+    } catch (error) {
+      // 自動マスキングできない場合は確認ダイアログにフォールバック
+      showSendGuardDialog(input, text, detections);
+    }
+  }
+
+  /**
+   * チェックを通過させて送信操作を再実行
+   * @param {Element} input - 入力欄
+   * @param {string|null} expectedText - 書き換えた後のテキスト（指定時は入力欄と一致する場合のみ送信）
+   */
+  function submitInput(input, expectedText = null) {
+    allowNextSend = true;
+
+    // エディタの状態が反映されてから送信する
+    setTimeout(() => {
+      // エディタが書き換えを取り込まなかった場合、元のテキストが送信されるため中止する
+      // （段落の区切りは取得方法で改行の数が変わるため、空白を除いて比較）
+      const compact = (value) => value.replace(/\s+/g, '');
+      if (expectedText !== null && compact(getInputText(input)) !== compact(expectedText)) {
+        allowNextSend = false;
+        showSendGuardNotice('入力欄をマスキング後のテキストに書き換えられなかったため、送信を中止しました');
+        return;
+      }
+
+      const button = findSubmitButton();
+      if (button && !button.disabled) {
+        button.click();
+      } else {
+        input.focus();
+        input.dispatchEvent(new KeyboardEvent('keydown', {
+          key: 'Enter',
+          code: 'Enter',
+          keyCode: 13,
+          bubbles: true,
+          cancelable: true
+        }));
+      }
+      allowNextSend = false;
+    }, 100);
+  }
+
+  /**
+   * 送信前チェックの確認ダイアログを表示
+   */
+  function showSendGuardDialog(input, text, detections) {
+    document.querySelector('.privacyshield-dialog-overlay')?.remove();
+
+    const isBlocked = sendGuardPolicy === 'block';
+    const overlay = document.createElement('div');
+    overlay.className = 'privacyshield-dialog-overlay';
+    overlay.innerHTML = `
+      <div class="privacyshield-dialog" role="alertdialog" aria-modal="true">
+        <h4>
+          <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+            <path d="M12 22s8-4 8-10V5l-8-3-8 3v7c0 6 8 10 8 10z"/>
+          </svg>
+          個人情報が含まれています
+        </h4>
+        <p class="privacyshield-dialog-message"></p>
+        <ul class="privacyshield-detection-list"></ul>
+        <div class="privacyshield-dialog-actions">
+          <button type="button" class="privacyshield-btn secondary" data-action="cancel">編集に戻る</button>
+          ${isBlocked ? '' : '<button type="button" class="privacyshield-btn danger" data-action="send">そのまま送信</button>'}
+          <button type="button" class="privacyshield-btn primary" data-action="mask">マスキングして送信</button>
+        </div>
+      </div>
+    `;
+
+    overlay.querySelector('.privacyshield-dialog-message').textContent = isBlocked
+      ? '個人情報を含むプロンプトは送信できません。マスキングするか、内容を修正してください。'
+      : `${detections.length}件の個人情報が見つかりました。送信前に確認してください。`;
+
+    // 検知内容はページには送らず、このダイアログ内でのみ表示
+    const list = overlay.querySelector('.privacyshield-detection-list');
+    const labels = new Map();
+    for (const detection of detections) {
+      const item = document.createElement('li');
+      const type = document.createElement('span');
+      type.className = 'privacyshield-detection-type';
+      type.textContent = detection.description;
+      const value = document.createElement('span');
+      value.className = 'privacyshield-detection-value';
+      value.textContent = detection.original;
+      const label = document.createElement('span');
+      label.className = 'privacyshield-detection-label';
+      labels.set(detection.startIndex, label);
+      item.append(type, value, label);
+      list.appendChild(item);
+    }
+
+    // 置き換える値は会話セッション・置換方法・マスキング方式に合わせてバックグラウンドで決める（送信時と同じ値）
+    chrome.runtime.sendMessage({
+      type: 'PREVIEW_MASK',
+      text,
+      url: location.href,
+      ignore: [...ignoredOnce]
+    }).then((response) => {
+      for (const detection of response?.detections || []) {
+        const label = labels.get(detection.startIndex);
+        if (label) label.textContent = `→ ${detection.masked}`;
+      }
+    }).catch(() => {
+      // バックグラウンドが応答しない場合は置き換える値を表示しない
+    });
+
+    const close = () => {
+      overlay.remove();
+      input.focus();
+    };
+
+    // 送信を取りやめた場合は統計に記録（件数のみ）
+    const cancel = () => {
+      close();
+      chrome.runtime.sendMessage({ type: 'RECORD_USAGE', event: { kind: 'blockedSend' } }).catch(() => {});
+    };
+
+    overlay.addEventListener('click', (event) => {
+      const action = event.target.closest('[data-action]')?.dataset.action;
+      if (event.target === overlay || action === 'cancel') {
+        cancel();
+      } else if (action === 'send') {
+        close();
+        submitInput(input);
+      } else if (action === 'mask') {
+        overlay.remove();
+        maskAndSend(input, text, detections);
+      }
+    });
+    overlay.addEventListener('keydown', (event) => {
+      if (event.key === 'Escape') cancel();
+    });
+
+    document.body.appendChild(overlay);
+    overlay.querySelector('[data-action="cancel"]').focus();
+  }
+
+  /**
+   * 送信前チェックの結果を一時的に通知
+   */
+  function showSendGuardNotice(message) {
+    const banner = document.createElement('div');
+    banner.className = 'privacyshield-warning-banner privacyshield-notice';
+    banner.textContent = message;
+    document.body.appendChild(banner);
+    setTimeout(() => banner.remove(), 3000);
+  }
+
+  /**
+   * 入力欄の検知結果のハイライト更新を予約
+   */
+  function scheduleHighlight(input) {
+    clearTimeout(highlight.timer);
+    highlight.timer = setTimeout(() => refreshHighlights(input), 300);
+  }
+
+  /**
+   * 入力欄のテキストとDOM上の位置の対応を作成
+   * contenteditableは段落の境界に改行を補い、テキストノードごとの開始位置を記録する
+   * @return {Object} { text, segments }（textareaの場合segmentsはnull）
+   */
+  function buildTextModel(element) {
+    if (element.tagName === 'TEXTAREA' || element.tagName === 'INPUT') {
+      return { text: element.value, segments: null };
+    }
+
+    const segments = [];
+    let text = '';
+    let lastBlock = null;
+    const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+    for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+      const block = node.parentElement?.closest('p, div, li, pre, blockquote, h1, h2, h3, h4, h5, h6');
+      if (lastBlock && block !== lastBlock) {
+        text += '\n';
+      }
+      lastBlock = block;
+      segments.push({ node, start: text.length });
+      text += node.nodeValue;
+    }
+    return { text, segments };
+  }
+
+  /**
+   * テキスト上の位置をDOMの位置（テキストノードとオフセット）に変換
+   */
+  function offsetToDomPoint(segments, offset) {
+    for (const segment of segments) {
+      if (offset <= segment.start + segment.node.nodeValue.length) {
+        return { node: segment.node, offset: Math.max(0, offset - segment.start) };
+      }
+    }
+    const last = segments[segments.length - 1];
+    return { node: last.node, offset: last.node.nodeValue.length };
+  }
+
+  /**
+   * contenteditable内の範囲をRangeとして取得
+   */
+  function createTextRange(model, start, end) {
+    const range = document.createRange();
+    const startPoint = offsetToDomPoint(model.segments, start);
+    const endPoint = offsetToDomPoint(model.segments, end);
+    range.setStart(startPoint.node, startPoint.offset);
+    range.setEnd(endPoint.node, endPoint.offset);
+    return range;
+  }
+
+  /**
+   * textarea内の範囲の表示位置を取得
+   * 同じスタイルのミラー要素を重ねて計測する
+   */
+  function getTextareaRects(textarea, start, end) {
+    const style = getComputedStyle(textarea);
+    const rect = textarea.getBoundingClientRect();
+    const mirror = document.createElement('div');
+
+    for (const prop of [
+      'boxSizing', 'width', 'paddingTop', 'paddingRight', 'paddingBottom', 'paddingLeft',
+      'borderTopWidth', 'borderRightWidth', 'borderBottomWidth', 'borderLeftWidth',
+      'fontFamily', 'fontSize', 'fontWeight', 'fontStyle', 'letterSpacing', 'lineHeight',
+      'textTransform', 'wordSpacing', 'textIndent', 'tabSize'
+    ]) {
+      mirror.style[prop] = style[prop];
+    }
+    Object.assign(mirror.style, {
+      position: 'fixed',
+      left: `${rect.left - textarea.scrollLeft}px`,
+      top: `${rect.top - textarea.scrollTop}px`,
+      visibility: 'hidden',
+      whiteSpace: 'pre-wrap',
+      overflowWrap: 'break-word',
+      borderStyle: 'solid',
+      borderColor: 'transparent'
+    });
+
+    const marker = document.createElement('span');
+    marker.textContent = textarea.value.slice(start, end);
+    mirror.append(textarea.value.slice(0, start), marker, textarea.value.slice(end));
+
+    document.body.appendChild(mirror);
+    const rects = [...marker.getClientRects()];
+    mirror.remove();
+    return rects;
+  }
+
+  /**
+   * 検知範囲の表示位置を取得（入力欄の表示領域外は除外）
+   */
+  function getDetectionRects(input, model, detection) {
+    const rects = model.segments
+      ? [...createTextRange(model, detection.startIndex, detection.endIndex).getClientRects()]
+      : getTextareaRects(input, detection.startIndex, detection.endIndex);
+
+    const bounds = input.getBoundingClientRect();
+    return rects.filter((rect) =>
+      rect.width > 0 &&
+      rect.bottom > bounds.top && rect.top < bounds.bottom &&
+      rect.right > bounds.left && rect.left < bounds.right
+    );
+  }
+
+  /**
+   * 入力欄の個人情報を検知してハイライトを更新
+   * ラベルは会話セッションに合わせてバックグラウンドで決める（確定はしない）
+   */
+  async function refreshHighlights(input) {
+    if (!isEnabled || !input?.isConnected) {
+      clearHighlights();
+      return;
+    }
+
+    const model = buildTextModel(input);
+    if (!model.text.trim()) {
+      clearHighlights();
+      return;
+    }
+
+    let response;
+    try {
+      response = await chrome.runtime.sendMessage({
+        type: 'PREVIEW_MASK',
+        text: model.text,
+        url: location.href,
+        ignore: [...ignoredOnce]
+      });
+    } catch (error) {
+      return;
+    }
+
+    // 検知中に入力が変わった場合は次の更新に任せる
+    if (!response?.success || buildTextModel(input).text !== model.text) return;
+
+    highlight.input = input;
+    highlight.model = model;
+    highlight.items = response.detections.map((detection) => ({ detection, rects: [] }));
+    renderHighlights();
+    reportDetectionCount(highlight.items.length);
+
+    // 送信前チェックで代替値を見分けられるよう対応表を更新
+    fetchSessionMapping();
+  }
+
+  /**
+   * 入力欄の未マスキングの個人情報の件数をツールバーのバッジに反映
+   */
+  function reportDetectionCount(count) {
+    chrome.runtime.sendMessage({ type: 'UPDATE_DETECTION_COUNT', count }).catch(() => {
+      // バックグラウンドが応答しない場合はスキップ
+    });
+  }
+
+  /**
+   * ハイライトを描画
+   */
+  function renderHighlights() {
+    if (!highlight.layer) {
+      highlight.layer = document.createElement('div');
+      highlight.layer.className = 'privacyshield-highlight-layer';
+      document.body.appendChild(highlight.layer);
+    }
+    highlight.layer.replaceChildren();
+
+    if (!highlight.input?.isConnected) return;
+
+    for (const item of highlight.items) {
+      item.rects = getDetectionRects(highlight.input, highlight.model, item.detection);
+      for (const rect of item.rects) {
+        const mark = document.createElement('div');
+        mark.className = `privacyshield-highlight type-${item.detection.type}`;
+        Object.assign(mark.style, {
+          left: `${rect.left}px`,
+          top: `${rect.top}px`,
+          width: `${rect.width}px`,
+          height: `${rect.height}px`
+        });
+        highlight.layer.appendChild(mark);
+      }
+    }
+  }
+
+  /**
+   * スクロール・リサイズに合わせて再描画
+   */
+  function repositionHighlights() {
+    if (highlight.items.length === 0 || highlight.frame) return;
+    highlight.frame = requestAnimationFrame(() => {
+      highlight.frame = null;
+      renderHighlights();
+      hidePopover();
+    });
+  }
+
+  /**
+   * ハイライトを消去
+   */
+  function clearHighlights() {
+    highlight.items = [];
+    highlight.layer?.replaceChildren();
+    hidePopover();
+    reportDetectionCount(0);
+  }
+
+  /**
+   * マウス位置にあるハイライトの操作メニューを表示
+   */
+  function handleHighlightHover(event) {
+    if (highlight.items.length === 0) return;
+    if (highlight.popover?.contains(event.target)) return;
+
+    const { clientX: x, clientY: y } = event;
+    for (const item of highlight.items) {
+      const rect = item.rects.find((r) => x >= r.left && x <= r.right && y >= r.top && y <= r.bottom);
+      if (rect) {
+        if (highlight.popover?.dataset.key !== `${item.detection.startIndex}`) {
+          showPopover(item, rect);
+        }
+        return;
+      }
+    }
+    hidePopover();
+  }
+
+  /**
+   * 検知項目の操作メニュー（マスク / 今回は無視 / 常に無視）を表示
+   */
+  function showPopover(item, rect) {
+    hidePopover();
+
+    const { detection } = item;
+    const popover = document.createElement('div');
+    popover.className = 'privacyshield-popover';
+    popover.dataset.key = `${detection.startIndex}`;
+    popover.innerHTML = `
+      <div class="privacyshield-popover-header">
+        <span class="privacyshield-detection-type"></span>
+        <span class="privacyshield-detection-label"></span>
+      </div>
+      <div class="privacyshield-popover-actions">
+        <button type="button" class="privacyshield-btn primary" data-action="mask">マスク</button>
+        <button type="button" class="privacyshield-btn secondary" data-action="ignore-once">今回は無視</button>
+        <button type="button" class="privacyshield-btn secondary" data-action="ignore-always">常に無視</button>
+      </div>
+    `;
+    popover.querySelector('.privacyshield-detection-type').textContent = detection.description;
+    popover.querySelector('.privacyshield-detection-label').textContent = `→ ${detection.masked}`;
+    Object.assign(popover.style, {
+      left: `${rect.left}px`,
+      top: `${rect.bottom + 4}px`
+    });
+
+    popover.addEventListener('mousedown', (event) => {
+      // 入力欄のフォーカス・選択範囲を保ったまま操作する
+      event.preventDefault();
+    });
+    popover.addEventListener('click', (event) => {
+      const action = event.target.closest('[data-action]')?.dataset.action;
+      if (action === 'mask') {
+        maskDetection(item);
+      } else if (action === 'ignore-once') {
+        ignoredOnce.add(detection.original);
+        scheduleHighlight(highlight.input);
+      } else if (action === 'ignore-always') {
+        ignoreAlways(detection.original);
+      }
+      hidePopover();
+    });
+
+    document.body.appendChild(popover);
+    highlight.popover = popover;
+  }
+
+  /**
+   * 操作メニューを閉じる
+   */
+  function hidePopover() {
+    highlight.popover?.remove();
+    highlight.popover = null;
+  }
+
+  /**
+   * 検知項目を1件だけラベルに置き換える
+   */
+  async function maskDetection(item) {
+    const input = highlight.input;
+    const { detection } = item;
+
+    // 入力が変わって位置がずれている場合はハイライトを更新するだけにする
+    const model = buildTextModel(input);
+    if (model.text.slice(detection.startIndex, detection.endIndex) !== detection.original) {
+      scheduleHighlight(input);
+      return;
+    }
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: 'MASK_ENTITY',
+        patternType: detection.type,
+        text: detection.original,
+        url: location.href
+      });
+      if (!response?.success) return;
+      responseRestore.fetchedAt = 0;
+
+      if (model.segments) {
+        // 編集コマンド経由で置き換え、エディタの内部状態と同期させる
+        const selection = window.getSelection();
+        input.focus();
+        selection.removeAllRanges();
+        selection.addRange(createTextRange(model, detection.startIndex, detection.endIndex));
+        document.execCommand('insertText', false, response.label);
+      } else {
+        input.setRangeText(response.label, detection.startIndex, detection.endIndex, 'end');
+        input.dispatchEvent(new Event('input', { bubbles: true }));
+      }
+    } catch (error) {
+      // バックグラウンドが応答しない場合は何もしない
+    }
+
+    scheduleHighlight(input);
+  }
+
+  /**
+   * 語句を「常に無視」として許可リストに登録
+   */
+  async function ignoreAlways(term) {
+    try {
+      const { allowlist = [] } = await chrome.storage.sync.get('allowlist');
+      if (!allowlist.some((entry) => entry.term === term && entry.match === 'exact')) {
+        await chrome.storage.sync.set({ allowlist: [...allowlist, { term, match: 'exact' }] });
+      }
+      await loadSettings();
+    } catch (error) {
+      console.error('無視する語句の保存に失敗:', error);
+      if (/QUOTA_BYTES/.test(error.message)) {
+        showSendGuardNotice('許可リストが保存できる容量の上限に達しているため、登録できませんでした');
+      }
+    }
+    scheduleHighlight(highlight.input);
+  }
+
+  /**
+   * 会話セッションの対応表を取得
+   * 未知のラベルが現れたときや会話が切り替わったときに取り直す
+   */
+  async function fetchSessionMapping({ force = false } = {}) {
+    const isStale = responseRestore.sessionUrl !== location.href ||
+      Date.now() - responseRestore.fetchedAt > 5000;
+    if (!force && !isStale) return;
+
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'GET_SESSION_MAPPING' });
+      if (response?.success) {
+        responseRestore.mappingTable = new Map(Object.entries(response.mappingTable));
+        responseRestore.sessionUrl = location.href;
+        responseRestore.fetchedAt = Date.now();
+      }
+    } catch (error) {
+      // バックグラウンドが応答しない場合は前回の対応表を使う
+    }
+  }
+
+  /**
+   * 返答の描画が落ち着いてから復元を実行するよう予約
+   * ストリーミング中にDOMを書き換えるとページ側の更新と衝突するため待つ
+   */
+  function scheduleResponseRestore() {
+    if (!responseRestore.enabled || siteAdapter.responseSelectors.length === 0) return;
+    clearTimeout(responseRestore.timer);
+    responseRestore.timer = setTimeout(restoreResponses, 800);
+  }
+
+  /**
+   * 返答エリア内のラベルを元の値の表示に置き換える
+   */
+  async function restoreResponses() {
+    if (!isEnabled || !responseRestore.enabled) return;
+
+    const containers = siteAdapter.responseSelectors
+      .flatMap((selector) => [...document.querySelectorAll(selector)]);
+    if (containers.length === 0) return;
+
+    // 代替値は対応表がないと見つけられないため先に取得しておく
+    await fetchSessionMapping();
+
+    // ラベル・代替値を含むテキストノードを収集（復元済みの要素は除く）
+    // AIが書き換えた表記（Person_A、［Person_A］等）も対象にする
+    const targets = [];
+    let hasUnknownLabel = false;
+    for (const container of containers) {
+      const walker = document.createTreeWalker(container, NodeFilter.SHOW_TEXT);
+      for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+        if (node.parentElement?.closest('.privacyshield-restored')) continue;
+        const tokens = maskingEngine.tokenizeLabels(node.nodeValue, responseRestore.mappingTable);
+        if (tokens.length > 0) {
+          targets.push(node);
+          hasUnknownLabel = hasUnknownLabel || tokens.some((token) => !token.label);
+        }
+      }
+    }
+    if (targets.length === 0) return;
+
+    // 対応表にないラベルがあれば取り直す
+    if (hasUnknownLabel) {
+      await fetchSessionMapping({ force: true });
+    }
+
+    for (const node of targets) {
+      if (node.isConnected) {
+        restoreTextNode(node);
+      }
+    }
+    renderRestoreToggle();
+  }
+
+  /**
+   * テキストノード内のラベルを、元の値を表示する要素に分割して置き換える
+   */
+  function restoreTextNode(node) {
+    const text = node.nodeValue;
+    const known = maskingEngine.tokenizeLabels(text, responseRestore.mappingTable).filter((token) => token.label);
+    if (known.length === 0) return;
+
+    const fragment = document.createDocumentFragment();
+    let cursor = 0;
+
+    for (const token of known) {
+      fragment.append(text.slice(cursor, token.start));
+
+      // ラベルの表示に戻すときは、返答に書かれていたままの表記に戻す
+      const restored = document.createElement('span');
+      restored.className = 'privacyshield-restored';
+      restored.dataset.label = token.text;
+      restored.dataset.original = responseRestore.mappingTable.get(token.label);
+      restored.title = `PrivacyShieldが復元（AIに送信されたのは ${token.label}）`;
+      restored.textContent = responseRestore.showOriginals ? restored.dataset.original : token.text;
+      fragment.append(restored);
+
+      cursor = token.end;
+    }
+    fragment.append(text.slice(cursor));
+
+    node.replaceWith(fragment);
+  }
+
+  /**
+   * 復元した値とラベルの表示を切り替える
+   */
+  function applyRestoreVisibility() {
+    document.querySelectorAll('.privacyshield-restored').forEach((element) => {
+      element.textContent = responseRestore.showOriginals ? element.dataset.original : element.dataset.label;
+      element.classList.toggle('showing-label', !responseRestore.showOriginals);
+    });
+    renderRestoreToggle();
+  }
+
+  /**
+   * 表示切り替えボタンを描画（復元した箇所がある場合のみ）
+   */
+  function renderRestoreToggle() {
+    const hasRestored = document.querySelector('.privacyshield-restored') !== null;
+
+    if (!hasRestored) {
+      responseRestore.toggle?.remove();
+      responseRestore.toggle = null;
+      return;
+    }
+
+    if (!responseRestore.toggle) {
+      responseRestore.toggle = document.createElement('button');
+      responseRestore.toggle.type = 'button';
+      responseRestore.toggle.className = 'privacyshield-restore-toggle';
+      responseRestore.toggle.addEventListener('click', () => {
+        responseRestore.showOriginals = !responseRestore.showOriginals;
+        applyRestoreVisibility();
+      });
+      document.body.appendChild(responseRestore.toggle);
+    }
+
+    responseRestore.toggle.textContent = responseRestore.showOriginals
+      ? '🔓 返答を実名で表示中'
+      : '🔒 返答をラベルで表示中';
+    responseRestore.toggle.title = 'クリックで切り替え（この表示はお使いのブラウザ内のみで、AIサービスには送信されません）';
+  }
+
+  /**
+   * 復元した表示をすべてラベルに戻す（無効化時）
+   */
+  function revertRestoredResponses() {
+    document.querySelectorAll('.privacyshield-restored').forEach((element) => {
+      element.replaceWith(document.createTextNode(element.dataset.label));
+    });
+    renderRestoreToggle();
+  }
+
   /**
    * 入力欄を監視開始
    */
@@ -101,6 +928,7 @@
     observedInputs.add(element);
     element.addEventListener('input', handleInput);
     element.addEventListener('paste', handleInput);
+    element.addEventListener('focus', handleInput);
 
     // PrivacyShield用のインジケーターを追加
     addProtectionIndicator(element);
@@ -149,6 +977,9 @@
       // 新しい入力欄を探す
       const newInputs = findInputElements();
       newInputs.forEach(observeInput);
+
+      // AIの返答のラベルを復元
+      scheduleResponseRestore();
     });
 
     observer.observe(document.body, {
@@ -156,9 +987,19 @@
       subtree: true
     });
 
+    // 送信操作を検知（ページ側のハンドラーより先に処理するためキャプチャで登録）
+    document.addEventListener('keydown', handleSendKeydown, true);
+    document.addEventListener('click', handleSubmitClick, true);
+
+    // インラインハイライトの位置合わせと操作メニュー
+    document.addEventListener('scroll', repositionHighlights, true);
+    window.addEventListener('resize', repositionHighlights);
+    document.addEventListener('mousemove', handleHighlightHover);
+
     // 初期スキャン
     const inputs = findInputElements();
     inputs.forEach(observeInput);
+    scheduleResponseRestore();
   }
 
   /**
@@ -170,13 +1011,25 @@
       observer = null;
     }
 
+    document.removeEventListener('keydown', handleSendKeydown, true);
+    document.removeEventListener('click', handleSubmitClick, true);
+    document.removeEventListener('scroll', repositionHighlights, true);
+    window.removeEventListener('resize', repositionHighlights);
+    document.removeEventListener('mousemove', handleHighlightHover);
+
     // イベントリスナーを削除
     observedInputs.forEach((element) => {
       element.removeEventListener('input', handleInput);
       element.removeEventListener('paste', handleInput);
+      element.removeEventListener('focus', handleInput);
     });
     observedInputs.clear();
 
+    // ハイライトを削除
+    clearHighlights();
+    highlight.layer?.remove();
+    highlight.layer = null;
+
     // インジケーターを削除
     document.querySelectorAll('.privacyshield-indicator').forEach((el) => el.remove());
   }
@@ -189,6 +1042,16 @@
       case 'ENABLED_STATE_CHANGED':
         isEnabled = message.isEnabled;
         updateIndicators();
+        if (isEnabled && highlight.input) {
+          scheduleHighlight(highlight.input);
+        } else {
+          clearHighlights();
+        }
+        if (isEnabled) {
+          scheduleResponseRestore();
+        } else {
+          revertRestoredResponses();
+        }
         sendResponse({ success: true });
         break;
 
@@ -219,9 +1082,11 @@
    * マスキング済みテキストを入力欄に挿入
    */
   function insertMaskedText(text) {
+    if (!siteAdapter) return;
+
     // フォーカスされている入力欄、または最初に見つかった入力欄に挿入
     const activeElement = document.activeElement;
-    const isInputElement = CLAUDE_INPUT_SELECTORS.some(
+    const isInputElement = siteAdapter.inputSelectors.some(
       (selector) => activeElement?.matches?.(selector)
     );
 
@@ -229,7 +1094,7 @@
       setInputText(activeElement, text);
     } else {
       // 最初の入力欄を探して挿入
-      for (const selector of CLAUDE_INPUT_SELECTORS) {
+      for (const selector of siteAdapter.inputSelectors) {
         const element = document.querySelector(selector);
         if (element) {
           setInputText(element, text);
@@ -253,6 +1118,34 @@
    * 初期化
    */
   async function init() {
+    // 対応サイトのアダプターを決定（設定画面で追加されたサイトを含む）
+    try {
+      const settings = await ManagedPolicy.getSettings(['enabledSites', 'customSites']);
+      siteAdapter = SiteAdapterRegistry.fromSettings(settings).findByUrl(location.href);
+    } catch (error) {
+      siteAdapter = new SiteAdapterRegistry().findByUrl(location.href);
+    }
+    if (!siteAdapter) return;
+    siteEditor = SiteAdapterRegistry.getEditor(siteAdapter);
+
+    // マスキング設定・送信前チェックのポリシーを読み込む
+    await loadSettings();
+    chrome.storage.onChanged.addListener(async (changes, areaName) => {
+      if (areaName !== 'sync' && areaName !== 'managed') return;
+      await loadSettings();
+      // 送信前チェックの設定に合わせてバッジの色を更新
+      if (changes.sendGuardPolicy && highlight.items.length > 0) {
+        reportDetectionCount(highlight.items.length);
+      }
+      if (changes.autoRestoreResponses) {
+        if (responseRestore.enabled) {
+          scheduleResponseRestore();
+        } else {
+          revertRestoredResponses();
+        }
+      }
+    });
+
     // 有効/無効状態を取得
     try {
       const response = await chrome.runtime.sendMessage({ type: 'GET_ENABLED_STATE' });
@@ -263,10 +1156,13 @@
       // バックグラウンドが応答しない場合はデフォルトで有効
     }
 
+    // ページの再読み込み前の件数がバッジに残らないようにする
+    reportDetectionCount(0);
+
     // 監視を開始
     startObserver();
 
-    console.log('PrivacyShield for AI コンテンツスクリプトが起動しました');
+    console.log(`PrivacyShield for AI コンテンツスクリプトが起動しました（${siteAdapter.name}）`);
   }
 
   // ページ読み込み完了後に初期化
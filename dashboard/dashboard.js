@@ -0,0 +1,221 @@
+/**
+ * PrivacyShield for AI - 利用状況ダッシュボード
+ */
+
+// DOM要素
+const periodSelect = document.getElementById('periodSelect');
+const exportCsvBtn = document.getElementById('exportCsvBtn');
+const totalMaskings = document.getElementById('totalMaskings');
+const totalItems = document.getElementById('totalItems');
+const totalBlocked = document.getElementById('totalBlocked');
+const chart = document.getElementById('chart');
+const typeTable = document.getElementById('typeTable');
+const siteTable = document.getElementById('siteTable');
+
+// 保存されている統計
+let stats = {};
+
+// グラフの集計単位（day / week）
+let chartUnit = 'day';
+
+// 検知の種類の表示名（パターンのキー → 説明）
+let typeDescriptions = {};
+
+/**
+ * 統計と表示名を読み込んで描画
+ */
+async function loadStats() {
+  try {
+    ({ stats = {} } = await chrome.storage.local.get('stats'));
+
+    // カスタムパターンの表示名も使うため設定を反映したエンジンから取得
+    const settings = await chrome.storage.sync.get(['customPatterns']);
+    const engine = new MaskingEngine();
+    engine.configure({ customPatterns: settings.customPatterns || [] });
+    typeDescriptions = {
+      ...Object.fromEntries(engine.getAvailablePatterns().map((pattern) => [pattern.key, pattern.description])),
+      denylist: '拒否リストの語句',
+      manual: MaskingEngine.MANUAL_PATTERN.description
+    };
+
+    render();
+  } catch (error) {
+    console.error('統計の読み込みに失敗:', error);
+  }
+}
+
+/**
+ * 選択中の期間の日付キー（古い順）
+ */
+function getPeriodDates() {
+  const days = Number(periodSelect.value);
+  const dates = [];
+  for (let i = days - 1; i >= 0; i--) {
+    const date = new Date();
+    date.setDate(date.getDate() - i);
+    dates.push(UsageStats.dateKey(date));
+  }
+  return dates;
+}
+
+/**
+ * 全体を描画
+ */
+function render() {
+  const dates = getPeriodDates();
+  const summary = UsageStats.summarize(stats, dates);
+
+  totalMaskings.textContent = summary.maskingCount.toLocaleString();
+  totalItems.textContent = summary.protectedItems.toLocaleString();
+  totalBlocked.textContent = summary.blockedSends.toLocaleString();
+
+  renderChart(dates);
+  renderTypeTable(summary.byType);
+  renderSiteTable(summary.bySite);
+}
+
+/**
+ * 推移のグラフを描画（日別・週別）
+ */
+function renderChart(dates) {
+  const buckets = groupDates(dates, chartUnit).map(({ label, dates: bucketDates }) => ({
+    label,
+    ...UsageStats.summarize(stats, bucketDates)
+  }));
+  const max = Math.max(1, ...buckets.map((bucket) => Math.max(bucket.maskingCount, bucket.blockedSends)));
+
+  chart.innerHTML = buckets.map((bucket) => `
+    <div class="chart-column" title="${bucket.label}\nマスキング: ${bucket.maskingCount}回\n取りやめ: ${bucket.blockedSends}回">
+      <div class="chart-bars">
+        <div class="chart-bar maskings" style="height: ${(bucket.maskingCount / max) * 100}%"></div>
+        <div class="chart-bar blocked" style="height: ${(bucket.blockedSends / max) * 100}%"></div>
+      </div>
+      <span class="chart-label">${bucket.label}</span>
+    </div>
+  `).join('');
+}
+
+/**
+ * 日付を集計単位ごとにまとめる
+ * 週別は月曜日始まりで、期間の途中から始まる週も1つの週として扱う
+ * @return {Array} { label, dates } の配列
+ */
+function groupDates(dates, unit) {
+  if (unit === 'day') {
+    return dates.map((date) => ({ label: date.slice(5).replace('-', '/'), dates: [date] }));
+  }
+
+  const weeks = new Map();
+  for (const date of dates) {
+    const day = new Date(`${date}T00:00:00`);
+    const monday = new Date(day);
+    monday.setDate(day.getDate() - ((day.getDay() + 6) % 7));
+    const key = UsageStats.dateKey(monday);
+
+    if (!weeks.has(key)) {
+      weeks.set(key, { label: `${key.slice(5).replace('-', '/')}〜`, dates: [] });
+    }
+    weeks.get(key).dates.push(date);
+  }
+  return [...weeks.values()];
+}
+
+/**
+ * 種類別の表を描画
+ */
+function renderTypeTable(byType) {
+  const rows = Object.entries(byType).sort((a, b) => b[1] - a[1]);
+  if (rows.length === 0) {
+    typeTable.innerHTML = '<tr><td class="empty-cell">記録がありません</td></tr>';
+    return;
+  }
+
+  typeTable.innerHTML = rows.map(([type, count]) => `
+    <tr>
+      <td>${escapeHtml(typeDescriptions[type] || type)}</td>
+      <td class="number-cell">${count.toLocaleString()}</td>
+    </tr>
+  `).join('');
+}
+
+/**
+ * サイト別の表を描画
+ */
+function renderSiteTable(bySite) {
+  const rows = Object.entries(bySite).sort((a, b) => b[1].maskingCount - a[1].maskingCount);
+  if (rows.length === 0) {
+    siteTable.innerHTML = '<tr><td class="empty-cell" colspan="4">記録がありません</td></tr>';
+    return;
+  }
+
+  siteTable.innerHTML = rows.map(([site, entry]) => `
+    <tr>
+      <td>${escapeHtml(site)}</td>
+      <td class="number-cell">${entry.maskingCount.toLocaleString()}</td>
+      <td class="number-cell">${entry.protectedItems.toLocaleString()}</td>
+      <td class="number-cell">${entry.blockedSends.toLocaleString()}</td>
+    </tr>
+  `).join('');
+}
+
+/**
+ * 選択中の期間の統計をCSVでエクスポート
+ */
+function exportCsv() {
+  const dates = getPeriodDates();
+  // Excelで文字化けしないようBOMを付ける
+  const blob = new Blob(['\ufeff' + UsageStats.toCsv(stats, dates)], { type: 'text/csv' });
+  const url = URL.createObjectURL(blob);
+
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = `privacyshield-stats-${dates[0]}-${dates[dates.length - 1]}.csv`;
+  a.click();
+
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * グラフの集計単位を切り替え
+ */
+function handleUnitToggle(e) {
+  const button = e.target.closest('.toggle-btn');
+  if (!button) return;
+
+  chartUnit = button.dataset.unit;
+  document.querySelectorAll('.toggle-btn').forEach((btn) => {
+    btn.classList.toggle('active', btn === button);
+  });
+  renderChart(getPeriodDates());
+}
+
+/**
+ * HTMLエスケープ
+ */
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text;
+  return div.innerHTML;
+}
+
+/**
+ * 初期化
+ */
+function init() {
+  loadStats();
+
+  periodSelect.addEventListener('change', render);
+  exportCsvBtn.addEventListener('click', exportCsv);
+  document.querySelector('.chart-toggle').addEventListener('click', handleUnitToggle);
+
+  // 開いている間に記録された統計も反映
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes.stats) {
+      stats = changes.stats.newValue || {};
+      render();
+    }
+  });
+}
+
+// DOMContentLoadedで初期化
+document.addEventListener('DOMContentLoaded', init);
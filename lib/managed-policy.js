@@ -0,0 +1,119 @@
+/**
+ * PrivacyShield for AI - Managed Policy
+ *
+ * 企業向けの管理ポリシー（chrome.storage.managed）を読み込み、利用者の設定より優先して適用する
+ * ポリシーの項目は managed_schema.json で定義し、グループポリシー等で配布する
+ */
+
+class ManagedPolicy {
+  // ポリシーで固定できる送信前チェックの動作（「チェックしない」は指定できない）
+  static SEND_GUARD_POLICIES = ['mask', 'confirm', 'block'];
+
+  /**
+   * 管理ポリシーを読み込む
+   * 管理されていない環境・読み込めない環境では空のポリシーを返す
+   * @return {Promise<Object>}
+   */
+  static async load() {
+    try {
+      return ManagedPolicy.normalize(await chrome.storage.managed.get(null));
+    } catch (error) {
+      return ManagedPolicy.normalize({});
+    }
+  }
+
+  /**
+   * 不正な値を取り除いたポリシー
+   */
+  static normalize(policy = {}) {
+    const strings = (value) => (Array.isArray(value) ? value.filter((item) => typeof item === 'string' && item) : []);
+    const terms = (value) => (Array.isArray(value) ? value.filter((entry) => typeof entry?.term === 'string' && entry.term) : []);
+
+    return {
+      forceEnabled: policy.forceEnabled === true,
+      enforcedPatterns: strings(policy.enforcedPatterns),
+      sendGuardPolicy: ManagedPolicy.SEND_GUARD_POLICIES.includes(policy.sendGuardPolicy) ? policy.sendGuardPolicy : null,
+      enabledSites: strings(policy.enabledSites),
+      blockedSites: strings(policy.blockedSites).map((host) => host.toLowerCase()),
+      allowlist: terms(policy.allowlist),
+      denylist: terms(policy.denylist)
+    };
+  }
+
+  /**
+   * ポリシーで管理されている項目があるかどうか
+   */
+  static isManaged(policy) {
+    return policy.forceEnabled ||
+      policy.enforcedPatterns.length > 0 ||
+      policy.sendGuardPolicy !== null ||
+      policy.enabledSites.length > 0 ||
+      policy.blockedSites.length > 0 ||
+      policy.allowlist.length > 0 ||
+      policy.denylist.length > 0;
+  }
+
+  /**
+   * chrome.storage.sync の設定にポリシーを適用して取得
+   * 保存済みの設定は変更しないため、設定画面での編集には使わない
+   * @param {Array<string>} keys - 取得する設定のキー
+   * @return {Promise<Object>}
+   */
+  static async getSettings(keys) {
+    const [settings, policy] = await Promise.all([chrome.storage.sync.get(keys), ManagedPolicy.load()]);
+    return ManagedPolicy.apply(settings, policy);
+  }
+
+  /**
+   * 設定にポリシーを適用
+   * @param {Object} settings - 利用者の設定
+   * @param {Object} policy - load()の結果
+   * @return {Object} ポリシー適用後の設定（blockedSites・enforcedPatternsを含む）
+   */
+  static apply(settings, policy) {
+    // 必須のパターンは利用者の許可リストで除外できないよう、エンジンにも渡す
+    const result = { ...settings, blockedSites: policy.blockedSites, enforcedPatterns: policy.enforcedPatterns };
+
+    if (policy.forceEnabled) {
+      result.isEnabled = true;
+    }
+    if (policy.enforcedPatterns.length > 0) {
+      result.disabledPatterns = (settings.disabledPatterns || [])
+        .filter((key) => !policy.enforcedPatterns.includes(key));
+    }
+    if (policy.sendGuardPolicy) {
+      result.sendGuardPolicy = policy.sendGuardPolicy;
+      result.autoMask = policy.sendGuardPolicy === 'mask';
+    }
+    if (policy.enabledSites.length > 0) {
+      result.enabledSites = [...new Set([...(settings.enabledSites || []), ...policy.enabledSites])];
+    }
+    // ポリシーの項目だけが必須のパターンにも適用される（利用者の項目の managed は取り除く）
+    if (policy.allowlist.length > 0 || settings.allowlist) {
+      result.allowlist = [
+        ...policy.allowlist.map((entry) => ({ ...entry, managed: true })),
+        ...(settings.allowlist || []).map(({ managed, ...entry }) => entry)
+      ];
+    }
+    if (policy.denylist.length > 0) {
+      result.denylist = [...policy.denylist, ...(settings.denylist || [])];
+    }
+
+    return result;
+  }
+
+  /**
+   * ポリシーで送信が禁止されているサイトかどうか（サブドメインも対象）
+   * @param {string} hostname - ページのホスト名
+   * @param {Array<string>} blockedSites - 禁止するホスト名
+   */
+  static isBlockedSite(hostname, blockedSites = []) {
+    const host = hostname.toLowerCase();
+    return blockedSites.some((blocked) => host === blocked || host.endsWith(`.${blocked}`));
+  }
+}
+
+// エクスポート（Chrome拡張で使用）
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ManagedPolicy;
+}
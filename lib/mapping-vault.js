@@ -0,0 +1,545 @@
+/**
+ * PrivacyShield for AI - Mapping Vault
+ *
+ * 保存済みの対応表（元の個人情報を含む）を暗号化して chrome.storage.local に保存する
+ * 鍵は利用者のパスフレーズから PBKDF2 で導出し、AES-GCM で暗号化する
+ * 導出した鍵は chrome.storage.session（メモリ上のみ）に置き、一定時間操作がなければ破棄する
+ */
+
+class MappingVault {
+  // PBKDF2の反復回数
+  static ITERATIONS = 310000;
+
+  // パスフレーズの確認用に暗号化しておく文字列
+  static VERIFIER = 'privacyshield-vault';
+
+  // 対応表のエクスポートファイルの形式
+  static EXPORT_FORMAT = 'privacyshield-mappings';
+  static EXPORT_VERSION = 1;
+
+  // 自動ロックまでの既定の時間（分）
+  static DEFAULT_AUTO_LOCK_MINUTES = 15;
+
+  // 保存期間の既定値（chrome.storage.sync のキーと値）
+  // retentionMaxDays・retentionMaxCount が 0 の場合は無制限
+  static RETENTION_DEFAULTS = {
+    retentionMaxCount: 10,
+    retentionMaxDays: 0,
+    retentionClearOnClose: false
+  };
+
+  /**
+   * パスフレーズが設定済みかどうか
+   * @return {Promise<boolean>}
+   */
+  static async isInitialized() {
+    const { vaultMeta } = await chrome.storage.local.get('vaultMeta');
+    return Boolean(vaultMeta);
+  }
+
+  /**
+   * パスフレーズを設定して保管庫を作成
+   * 暗号化前の形式で保存されていた対応表があれば暗号化し直す
+   * @param {string} passphrase - パスフレーズ
+   * @return {Promise<void>}
+   */
+  static async setup(passphrase) {
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const key = await MappingVault.deriveKey(passphrase, salt, MappingVault.ITERATIONS);
+
+    const vaultMeta = {
+      salt: MappingVault.toBase64(salt),
+      iterations: MappingVault.ITERATIONS,
+      verifier: await MappingVault.encrypt(key, MappingVault.VERIFIER)
+    };
+
+    const { savedMappings = [] } = await chrome.storage.local.get('savedMappings');
+    const encryptedMappings = [];
+    for (const mapping of savedMappings) {
+      encryptedMappings.push(mapping.mappingTable ? await MappingVault.seal(key, mapping) : mapping);
+    }
+
+    await chrome.storage.local.set({ vaultMeta, savedMappings: encryptedMappings });
+    await MappingVault.storeSessionKey(key);
+  }
+
+  /**
+   * パスフレーズで保管庫のロックを解除
+   * @param {string} passphrase - パスフレーズ
+   * @return {Promise<boolean>} パスフレーズが正しかったかどうか
+   */
+  static async unlock(passphrase) {
+    const { vaultMeta } = await chrome.storage.local.get('vaultMeta');
+    if (!vaultMeta) return false;
+
+    const key = await MappingVault.deriveKey(passphrase, MappingVault.fromBase64(vaultMeta.salt), vaultMeta.iterations);
+    try {
+      if (await MappingVault.decrypt(key, vaultMeta.verifier) !== MappingVault.VERIFIER) return false;
+    } catch (error) {
+      // 鍵が異なる場合は復号に失敗する
+      return false;
+    }
+
+    await MappingVault.storeSessionKey(key);
+    return true;
+  }
+
+  /**
+   * 保管庫をロック（セッションの鍵を破棄）
+   * @return {Promise<void>}
+   */
+  static async lock() {
+    await chrome.storage.session.remove('vaultSession');
+  }
+
+  /**
+   * ロックが解除されているかどうか（自動ロックの時間を過ぎていればロックする）
+   * @return {Promise<boolean>}
+   */
+  static async isUnlocked() {
+    return Boolean(await MappingVault.getKey({ touch: false }));
+  }
+
+  /**
+   * 自動ロックの時間を過ぎていればロックする（バックグラウンドから定期的に呼ぶ）
+   * @return {Promise<boolean>} ロックしたかどうか
+   */
+  static async lockIfIdle() {
+    const { vaultSession } = await chrome.storage.session.get('vaultSession');
+    if (!vaultSession) return false;
+
+    if (await MappingVault.isExpired(vaultSession)) {
+      await MappingVault.lock();
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * 保存済みの対応表を復号して取得
+   * @return {Promise<Array>} { id, name, createdAt, itemCount, mappingTable: Map } の配列
+   */
+  static async list() {
+    const key = await MappingVault.requireKey();
+    const { savedMappings = [] } = await chrome.storage.local.get('savedMappings');
+
+    const mappings = [];
+    for (const mapping of savedMappings) {
+      try {
+        mappings.push(await MappingVault.open(key, mapping));
+      } catch (error) {
+        console.error('対応表の復号に失敗:', mapping.id, error);
+      }
+    }
+    return mappings;
+  }
+
+  /**
+   * 対応表を暗号化して保存
+   * 保存期間の設定を超えた古い対応表は削除する
+   * @param {Object} mapping - { name, mappingTable: Map }
+   * @return {Promise<Object>} 保存した対応表（id・作成日時を含む）
+   */
+  static async add({ name, mappingTable }) {
+    const { added: [newMapping] } = await MappingVault.addAll([{ name, mappingTable }]);
+    return newMapping;
+  }
+
+  /**
+   * 複数の対応表をまとめて暗号化して保存
+   * 作成日時を指定した対応表（インポートしたもの）はその日時を保ち、保存期間も元の日時から数える
+   * @param {Array} mappings - { name, mappingTable: Map, createdAt? } の配列
+   * @return {Promise<Object>} { added: 保存した対応表, droppedNew, droppedExisting }
+   *   droppedNew / droppedExisting: 保存期間・保存件数の設定により削除した追加分・保存済みの件数
+   */
+  static async addAll(mappings) {
+    const key = await MappingVault.requireKey();
+    const { savedMappings = [] } = await chrome.storage.local.get('savedMappings');
+    const policy = await MappingVault.getRetentionPolicy();
+
+    const newMappings = MappingVault.withIds(mappings).map((mapping) => ({
+      ...mapping,
+      mappingTable: new Map(mapping.mappingTable),
+      itemCount: mapping.mappingTable.size
+    }));
+
+    const sealed = [];
+    for (const mapping of newMappings) {
+      sealed.push(await MappingVault.seal(key, mapping));
+    }
+
+    const plan = MappingVault.planRetention(sealed, savedMappings, policy);
+    await chrome.storage.local.set({ savedMappings: plan.retained });
+
+    const kept = new Set(plan.retained.map((mapping) => mapping.id));
+    return {
+      added: newMappings.filter((mapping) => kept.has(mapping.id)),
+      droppedNew: plan.droppedNew,
+      droppedExisting: plan.droppedExisting
+    };
+  }
+
+  /**
+   * 追加した場合に保存期間・保存件数の設定で削除される件数（保存はしない）
+   * インポート前の確認に使う
+   * @param {Array} mappings - { name, mappingTable: Map, createdAt? } の配列
+   * @return {Promise<Object>} { droppedNew, droppedExisting }
+   */
+  static async previewAdd(mappings) {
+    const { savedMappings = [] } = await chrome.storage.local.get('savedMappings');
+    const policy = await MappingVault.getRetentionPolicy();
+    const { droppedNew, droppedExisting } = MappingVault.planRetention(MappingVault.withIds(mappings), savedMappings, policy);
+    return { droppedNew, droppedExisting };
+  }
+
+  /**
+   * 追加する対応表にIDと作成日時を割り当てる（有効な作成日時がない場合は現在時刻）
+   */
+  static withIds(mappings) {
+    const now = new Date().toISOString();
+    return mappings.map((mapping) => ({
+      ...mapping,
+      id: crypto.randomUUID(),
+      createdAt: Number.isNaN(Date.parse(mapping.createdAt)) ? now : new Date(mapping.createdAt).toISOString()
+    }));
+  }
+
+  /**
+   * 追加後に残す対応表を決める（作成日時の新しい順に並べてから保存期間を適用）
+   * @return {Object} { retained, droppedNew, droppedExisting }
+   */
+  static planRetention(newMappings, savedMappings, policy) {
+    const merged = [...newMappings, ...savedMappings]
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    const retained = MappingVault.retain(merged, policy);
+    const kept = new Set(retained.map((mapping) => mapping.id));
+
+    return {
+      retained,
+      droppedNew: newMappings.filter((mapping) => !kept.has(mapping.id)).length,
+      droppedExisting: savedMappings.filter((mapping) => !kept.has(mapping.id)).length
+    };
+  }
+
+  /**
+   * 対応表の名前・内容を更新（作成日時は変えないため、保存期間は延長されない）
+   * @param {string} id - 対応表のID
+   * @param {Object} changes - { name, mappingTable: Map }（省略した項目は変更しない）
+   * @return {Promise<Object>} 更新後の対応表
+   */
+  static async update(id, changes) {
+    const key = await MappingVault.requireKey();
+    const { savedMappings = [] } = await chrome.storage.local.get('savedMappings');
+
+    const index = savedMappings.findIndex((mapping) => mapping.id === id);
+    if (index === -1) {
+      throw new Error('対応表が見つかりません');
+    }
+
+    const current = await MappingVault.open(key, savedMappings[index]);
+    const updated = {
+      ...current,
+      name: changes.name ?? current.name,
+      mappingTable: new Map(changes.mappingTable ?? current.mappingTable)
+    };
+    updated.itemCount = updated.mappingTable.size;
+
+    savedMappings[index] = await MappingVault.seal(key, updated);
+    await chrome.storage.local.set({ savedMappings });
+
+    return updated;
+  }
+
+  /**
+   * 対応表を削除（削除には鍵は不要）
+   * @param {string} id - 対応表のID
+   * @return {Promise<void>}
+   */
+  static async remove(id) {
+    const { savedMappings = [] } = await chrome.storage.local.get('savedMappings');
+    await chrome.storage.local.set({ savedMappings: savedMappings.filter((mapping) => mapping.id !== id) });
+  }
+
+  /**
+   * 対応表をエクスポート用に暗号化
+   * 別の端末でも読み込めるよう、保管庫とは別のパスフレーズで暗号化する
+   * @param {Array<string>} ids - エクスポートする対応表のID
+   * @param {string} passphrase - エクスポート用のパスフレーズ
+   * @return {Promise<Object>} JSONとして保存できるオブジェクト
+   */
+  static async exportEncrypted(ids, passphrase) {
+    const mappings = (await MappingVault.list()).filter((mapping) => ids.includes(mapping.id));
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const key = await MappingVault.deriveKey(passphrase, salt, MappingVault.ITERATIONS);
+
+    const payload = mappings.map(({ name, createdAt, mappingTable }) => ({
+      name,
+      createdAt,
+      mappingTable: Object.fromEntries(mappingTable)
+    }));
+
+    return {
+      format: MappingVault.EXPORT_FORMAT,
+      version: MappingVault.EXPORT_VERSION,
+      salt: MappingVault.toBase64(salt),
+      iterations: MappingVault.ITERATIONS,
+      encrypted: await MappingVault.encrypt(key, JSON.stringify(payload))
+    };
+  }
+
+  /**
+   * エクスポートファイルを復号（保管庫への追加は addAll() で行う）
+   * @param {Object} data - exportEncrypted()の結果
+   * @param {string} passphrase - エクスポート時のパスフレーズ
+   * @return {Promise<Array>} { name, createdAt, mappingTable: Map } の配列
+   */
+  static async decryptExport(data, passphrase) {
+    if (data?.format !== MappingVault.EXPORT_FORMAT || !data.encrypted) {
+      throw new Error('対応表のエクスポートファイルではありません');
+    }
+    if (data.version > MappingVault.EXPORT_VERSION) {
+      throw new Error('新しいバージョンで作成されたファイルです');
+    }
+
+    const key = await MappingVault.deriveKey(passphrase, MappingVault.fromBase64(data.salt), data.iterations);
+    let payload;
+    try {
+      payload = JSON.parse(await MappingVault.decrypt(key, data.encrypted));
+    } catch (error) {
+      throw new Error('パスフレーズが正しくないか、ファイルが破損しています');
+    }
+
+    const mappings = payload
+      .filter((mapping) => typeof mapping.name === 'string' && mapping.mappingTable && typeof mapping.mappingTable === 'object')
+      .map((mapping) => ({
+        name: mapping.name,
+        createdAt: mapping.createdAt,
+        mappingTable: new Map(Object.entries(mapping.mappingTable).filter(([, original]) => typeof original === 'string'))
+      }));
+
+    return mappings;
+  }
+
+  /**
+   * 保存済みの対応表をすべて削除し、パスフレーズの設定も破棄する
+   * 保管庫の鍵（salt・確認用データ）も消すため、ストレージに暗号文の断片が残っても復号できない
+   * @return {Promise<number>} 削除した件数
+   */
+  static async clear() {
+    const count = await MappingVault.clearMappings();
+    await chrome.storage.local.remove('vaultMeta');
+    await MappingVault.lock();
+    return count;
+  }
+
+  /**
+   * 保存済みの対応表だけを削除（パスフレーズの設定は残す）
+   * 削除前に暗号文をランダムなデータで上書きする
+   * @return {Promise<number>} 削除した件数
+   */
+  static async clearMappings() {
+    const { savedMappings = [] } = await chrome.storage.local.get('savedMappings');
+
+    const overwritten = savedMappings.map((mapping) => ({
+      id: mapping.id,
+      encrypted: {
+        iv: MappingVault.toBase64(MappingVault.randomBytes(12)),
+        data: MappingVault.toBase64(MappingVault.randomBytes(MappingVault.fromBase64(mapping.encrypted?.data || '').length))
+      }
+    }));
+    await chrome.storage.local.set({ savedMappings: overwritten });
+    await chrome.storage.local.remove('savedMappings');
+
+    return savedMappings.length;
+  }
+
+  /**
+   * 保存期間の設定を取得
+   * @return {Promise<Object>} { retentionMaxCount, retentionMaxDays, retentionClearOnClose }
+   */
+  static async getRetentionPolicy() {
+    return chrome.storage.sync.get(MappingVault.RETENTION_DEFAULTS);
+  }
+
+  /**
+   * 保存期間を過ぎた・最大件数を超えた対応表を削除（鍵は不要）
+   * @return {Promise<number>} 削除した件数
+   */
+  static async applyRetention() {
+    const { savedMappings = [] } = await chrome.storage.local.get('savedMappings');
+    const policy = await MappingVault.getRetentionPolicy();
+
+    const retained = MappingVault.retain(savedMappings, policy);
+    if (retained.length !== savedMappings.length) {
+      await chrome.storage.local.set({ savedMappings: retained });
+    }
+    return savedMappings.length - retained.length;
+  }
+
+  /**
+   * 保存期間の設定に従って残す対応表を選ぶ（新しい順に並んでいる前提）
+   * @param {Array} mappings - 保存済みの対応表
+   * @param {Object} policy - getRetentionPolicy()の結果
+   * @param {number} now - 現在時刻（ミリ秒）
+   * @return {Array}
+   */
+  static retain(mappings, policy, now = Date.now()) {
+    const alive = mappings.filter((mapping) => {
+      const expiresAt = MappingVault.expiresAt(mapping, policy);
+      return expiresAt === null || expiresAt > now;
+    });
+    return policy.retentionMaxCount > 0 ? alive.slice(0, policy.retentionMaxCount) : alive;
+  }
+
+  /**
+   * 対応表の有効期限
+   * @param {Object} mapping - 保存済みの対応表（createdAtを含む）
+   * @param {Object} policy - getRetentionPolicy()の結果
+   * @return {number|null} 有効期限（ミリ秒）。期限がない場合はnull
+   */
+  static expiresAt(mapping, policy) {
+    if (!(policy.retentionMaxDays > 0)) return null;
+    return new Date(mapping.createdAt).getTime() + policy.retentionMaxDays * 24 * 60 * 60 * 1000;
+  }
+
+  /**
+   * 鍵を取得（ロック中の場合はエラー）
+   */
+  static async requireKey() {
+    const key = await MappingVault.getKey();
+    if (!key) {
+      throw new Error('対応表の保管庫がロックされています');
+    }
+    return key;
+  }
+
+  /**
+   * セッションに保持している鍵を取得し、最終操作時刻を更新
+   * @param {Object} options - { touch: 最終操作時刻を更新するか }
+   * @return {Promise<CryptoKey|null>}
+   */
+  static async getKey({ touch = true } = {}) {
+    const { vaultSession } = await chrome.storage.session.get('vaultSession');
+    if (!vaultSession) return null;
+
+    if (await MappingVault.isExpired(vaultSession)) {
+      await MappingVault.lock();
+      return null;
+    }
+
+    if (touch) {
+      await chrome.storage.session.set({ vaultSession: { ...vaultSession, lastUsedAt: Date.now() } });
+    }
+    return crypto.subtle.importKey('raw', MappingVault.fromBase64(vaultSession.key), 'AES-GCM', false, ['encrypt', 'decrypt']);
+  }
+
+  /**
+   * 最後の操作から自動ロックの時間を過ぎているか
+   */
+  static async isExpired(vaultSession) {
+    const { autoLockMinutes = MappingVault.DEFAULT_AUTO_LOCK_MINUTES } = await chrome.storage.sync.get('autoLockMinutes');
+    return autoLockMinutes > 0 && Date.now() - vaultSession.lastUsedAt > autoLockMinutes * 60 * 1000;
+  }
+
+  /**
+   * 鍵をセッションに保存（ブラウザを閉じると破棄される）
+   */
+  static async storeSessionKey(key) {
+    const raw = new Uint8Array(await crypto.subtle.exportKey('raw', key));
+    await chrome.storage.session.set({
+      vaultSession: { key: MappingVault.toBase64(raw), lastUsedAt: Date.now() }
+    });
+  }
+
+  /**
+   * パスフレーズから鍵を導出
+   */
+  static async deriveKey(passphrase, salt, iterations) {
+    const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+    return crypto.subtle.deriveKey(
+      { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+      material,
+      { name: 'AES-GCM', length: 256 },
+      true,
+      ['encrypt', 'decrypt']
+    );
+  }
+
+  /**
+   * 対応表を保存用の形式に暗号化
+   * 一覧・期限の判定に使うID・作成日時・件数のみ平文で残す
+   */
+  static async seal(key, mapping) {
+    const { id, createdAt, itemCount, name } = mapping;
+    const mappingTable = mapping.mappingTable instanceof Map ? Object.fromEntries(mapping.mappingTable) : mapping.mappingTable;
+    return { id, createdAt, itemCount, encrypted: await MappingVault.encrypt(key, JSON.stringify({ name, mappingTable })) };
+  }
+
+  /**
+   * 保存用の形式から対応表を復号
+   */
+  static async open(key, stored) {
+    const { name, mappingTable } = JSON.parse(await MappingVault.decrypt(key, stored.encrypted));
+    return {
+      id: stored.id,
+      name,
+      createdAt: stored.createdAt,
+      itemCount: stored.itemCount,
+      mappingTable: new Map(Object.entries(mappingTable))
+    };
+  }
+
+  /**
+   * 文字列を暗号化
+   * @return {Promise<Object>} { iv, data }（Base64）
+   */
+  static async encrypt(key, plaintext) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(plaintext));
+    return { iv: MappingVault.toBase64(iv), data: MappingVault.toBase64(new Uint8Array(data)) };
+  }
+
+  /**
+   * encrypt()の結果を復号
+   * @return {Promise<string>}
+   */
+  static async decrypt(key, { iv, data }) {
+    const plaintext = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: MappingVault.fromBase64(iv) },
+      key,
+      MappingVault.fromBase64(data)
+    );
+    return new TextDecoder().decode(plaintext);
+  }
+
+  /**
+   * バイト列とBase64の相互変換（chrome.storageにはJSONで保存できる値のみ置けるため）
+   */
+  static toBase64(bytes) {
+    let binary = '';
+    for (const byte of bytes) {
+      binary += String.fromCharCode(byte);
+    }
+    return btoa(binary);
+  }
+
+  static fromBase64(text) {
+    return Uint8Array.from(atob(text), (char) => char.charCodeAt(0));
+  }
+
+  /**
+   * 乱数のバイト列（getRandomValuesは一度に65536バイトまでのため分割して生成）
+   */
+  static randomBytes(length) {
+    const bytes = new Uint8Array(length);
+    for (let offset = 0; offset < length; offset += 65536) {
+      crypto.getRandomValues(bytes.subarray(offset, offset + 65536));
+    }
+    return bytes;
+  }
+}
+
+// エクスポート（Chrome拡張で使用）
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = MappingVault;
+}
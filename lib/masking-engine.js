@@ -6,121 +6,1039 @@
  */
 
 class MaskingEngine {
-  constructor() {
+  /**
+   * @param {Object} options - エンジンオプション
+   * @param {Object} options.normalization - 同一人物・同一データとみなすための正規化設定
+   * @param {string} options.labelScheme - ラベルの連番形式（'alpha' | 'numeric' | 'token'）
+   * @param {string} options.replacementMode - 置換方法（'label' | 'surrogate'）
+   * @param {NameDictionary} options.nameDictionary - 氏名検知に使う辞書（省略時は同梱の辞書）
+   * @param {SurrogateGenerator} options.surrogateGenerator - 代替値の生成器（省略時は同梱の生成器）
+   * @param {StructuredText} options.structuredText - JSON・CSV・Markdownの表の解析器（省略時は同梱の解析器）
+   */
+  constructor(options = {}) {
+    // 同一エンティティ判定用の正規化設定
+    this.normalization = {
+      stripHonorifics: true, // 敬称（様・さん等）を除去してから比較
+      foldWidth: true,       // 全角/半角を統一して比較
+      ignoreWhitespace: true, // 空白の有無を無視して比較
+      ignoreCase: true,      // 英字の大文字/小文字を無視して比較
+      ...(options.normalization || {})
+    };
+
+    // ラベルの連番形式
+    // alpha: A..Z, AA, AB...（表計算ソフトの列名方式）
+    // numeric: 1, 2, 3...
+    // token: ランダムな英数字（件数や出現順を推測させない）
+    this.labelScheme = options.labelScheme || 'alpha';
+
+    // 置換方法
+    // label: [Person_A] のようなラベル
+    // surrogate: 同じ種類の架空の値（代替値を生成できないパターンはラベル）
+    this.replacementMode = options.replacementMode || 'label';
+
+    // 代替値の生成器（lib/surrogate-generator.js が読み込まれていない場合は常にラベル）
+    this.surrogateGenerator = options.surrogateGenerator ||
+      (typeof SurrogateGenerator !== 'undefined' ? new SurrogateGenerator() : null);
+
+    // パターンごとのマスキング方式（MaskingEngine.STRATEGIESのキー、未指定のパターンは token）
+    this.strategies = { ...(options.strategies || {}) };
+
+    // ハッシュ方式で混ぜる利用者ごとのランダムな値
+    this.hashSalt = options.hashSalt || '';
+
+    // JSON・CSV/TSV・Markdownの表の解析器（lib/structured-text.js が読み込まれていない場合は常に文章として扱う）
+    this.structuredText = options.structuredText ||
+      (typeof StructuredText !== 'undefined' ? new StructuredText() : null);
+
+    // 構造を保ったマスキング（値の範囲の中だけを検知し、項目名から種類が分かる値は値全体をマスキング）
+    this.structuredMasking = options.structuredMasking ?? true;
+
+    // 常にマスキングする項目名（JSONのキー・表の見出し）
+    this.structuredFields = [];
+
+    // 除去対象の敬称（長いものから順に判定）
+    this.honorifics = ['ちゃん', 'さん', 'くん', '様', '氏', '殿'];
+
+    // 氏名の辞書（lib/name-dictionary.js が読み込まれていない場合は正規表現で検知）
+    this.nameDictionary = options.nameDictionary ||
+      (typeof NameDictionary !== 'undefined' ? new NameDictionary() : null);
+
     // マスキングパターンの定義
-    this.patterns = {
+    this.patterns = this.getDefaultPatterns();
+
+    // マスキング結果を保存（復元用）
+    this.mappingTable = new Map();
+    this.counter = {};
+
+    // 正規化済みエンティティ → ラベルの対応（同一エンティティに同じラベルを割り当てる）
+    this.entityLabels = new Map();
+
+    // 入力テキストに元から含まれていたラベル
+    this.reservedLabels = new Set();
+
+    // マスキング中の入力テキスト（代替値が元のテキストに含まれる語と重ならないようにする）
+    this.sourceText = '';
+
+    // マスキングしない語句（正規化済み）
+    this.ignoredTerms = new Set();  // 設定で「常に無視」とされたもの
+    this.ignoredOnce = new Set();   // mask()の呼び出し1回分だけ無視するもの
+
+    // 許可リスト（マスキングしない）・拒否リスト（常にマスキングする）
+    // compileTermEntry() で変換した { term, match, regex, whole, managed } の配列
+    this.allowlist = [];
+    this.denylist = [];
+
+    // 管理ポリシーで必須とされたパターン（管理ポリシーの許可リスト以外では除外しない）
+    this.enforcedPatterns = [];
+
+    // mask()の呼び出し1回分だけ検知対象に加える語句（サイドパネルで手動指定されたもの）
+    this.includedOnce = [];
+  }
+
+  /**
+   * 手動で指定された語句のうち、既存のパターンに割り当てないものの設定
+   */
+  static MANUAL_PATTERN = {
+    label: 'Manual',
+    description: '手動で指定',
+    priority: 100,
+    confidence: 1
+  };
+
+  /**
+   * 設定で指定した項目名のうち、種類を推定できない項目の値の設定
+   */
+  static FIELD_PATTERN = {
+    label: 'Field',
+    description: '指定した項目',
+    priority: 90,
+    confidence: 1
+  };
+
+  /**
+   * パターンごとに選べるマスキング方式
+   * token: ラベル（置換方法が「架空の値」の場合は代替値）
+   * partial: 一部を伏せる（090-****-5678）
+   * format: 桁数・区切り文字を保った別の値（090-3821-4477）
+   * hash: 値から決まるラベル（[Phone_3f9a2c1b]、会話をまたいでも同じ）
+   */
+  static STRATEGIES = {
+    token: '全体を置換',
+    partial: '一部を伏せる',
+    format: '書式を保持',
+    hash: 'ハッシュ'
+  };
+
+  /**
+   * 組み込みのマスキングパターンを生成
+   * priority: 検知範囲が重なったときの優先度（大きいほど優先）
+   * confidence: 検知の確からしさ（0〜1、優先度・長さが同じ場合の判定に使用）
+   * detect: 正規表現の代わりに使う検知関数（text → { start, end, confidence, reason } の配列）
+   * validator: 一致した文字列の検証に使う MaskingEngine.VALIDATORS のキー（チェックディジット等）
+   * その他、設定画面で追加できる条件は MaskingEngine.RULE_KEYS を参照
+   * @return {Object} パターンキー → パターン設定
+   */
+  getDefaultPatterns() {
+    return {
       // 日本語の氏名（姓名）
+      // 辞書があれば姓・名・敬称・周辺の語から採点し、なければ漢字の並びで検知する
       name: {
         regex: /[一-龯々]{2,4}(?:\s+)?[一-龯々]{2,4}(?:さん|様|氏|殿|くん|ちゃん)?/g,
+        detect: this.nameDictionary ? (text) => this.nameDictionary.detect(text) : null,
         label: 'Person',
-        description: '氏名'
+        description: '氏名',
+        priority: 10,
+        confidence: 0.6,
+        honorific: true // 敬称はラベルの外に残す
       },
       
       // メールアドレス
       email: {
         regex: /[\w\.-]+@[\w\.-]+\.\w+/g,
         label: 'Email',
-        description: 'メールアドレス'
+        description: 'メールアドレス',
+        priority: 50,
+        confidence: 0.95
       },
       
       // 電話番号（日本）
       phone: {
         regex: /0\d{1,4}[-\s]?\d{1,4}[-\s]?\d{4}/g,
         label: 'Phone',
-        description: '電話番号'
+        description: '電話番号',
+        priority: 40,
+        confidence: 0.85
       },
       
       // 住所（都道府県から始まる）
       address: {
         regex: /(東京都|北海道|(?:京都|大阪)府|.{2,3}県)[\s　]*[^\s、。,\.]{2,}/g,
         label: 'Location',
-        description: '住所'
+        description: '住所',
+        priority: 20,
+        confidence: 0.7
       },
       
+      // 郵便番号（「〒」に続くもの、またはハイフン区切りの3桁-4桁）
+      postalCode: {
+        regex: /(?<=〒[\s　]*)\d{3}-?\d{4}(?!\d)|(?<![\d-])\d{3}-\d{4}(?![\d-])/g,
+        label: 'PostalCode',
+        description: '郵便番号',
+        priority: 35,
+        confidence: 0.75
+      },
+
       // 企業名・組織名
       company: {
         regex: /(?:株式会社|有限会社|合同会社|一般社団法人|公益財団法人)[\s　]*[^\s、。,\.]{2,}|[^\s、。,\.]{2,}(?:株式会社|有限会社|合同会社)/g,
         label: 'Company',
-        description: '企業名'
+        description: '企業名',
+        priority: 30,
+        confidence: 0.8
+      },
+
+      // マイナンバー（個人番号、12桁・末尾がチェックディジット）
+      myNumber: {
+        regex: /(?<!\d[-\s]?)\d{4}[-\s]?\d{4}[-\s]?\d{4}(?![-\s]?\d)/g,
+        validator: 'myNumber',
+        label: 'MyNumber',
+        description: 'マイナンバー',
+        priority: 60,
+        confidence: 0.9
+      },
+
+      // 法人番号（13桁・先頭がチェックディジット）
+      corporateNumber: {
+        regex: /(?<!\d[-\s]?)\d{13}(?![-\s]?\d)/g,
+        validator: 'corporateNumber',
+        label: 'CorporateNumber',
+        description: '法人番号',
+        priority: 60,
+        confidence: 0.85
+      },
+
+      // クレジットカード番号（13〜19桁、Luhnで検証）
+      creditCard: {
+        regex: /(?<!\d[-\s]?)\d(?:[-\s]?\d){12,18}(?![-\s]?\d)/g,
+        validator: 'creditCard',
+        label: 'CreditCard',
+        description: 'クレジットカード番号',
+        priority: 60,
+        confidence: 0.9
+      },
+
+      // 銀行の支店番号・口座番号（「普通」「支店」などの語に続く番号のみ）
+      bankAccount: {
+        regex: /(?<=(?:普通|当座|貯蓄|口座番号|口座)(?:預金)?[\s　:：]*(?:No\.?)?[\s　]*)\d{7}(?!\d)|(?<=支店(?:番号|コード)?[\s　:：]*)\d{3}(?!\d)/g,
+        label: 'BankAccount',
+        description: '銀行口座',
+        priority: 55,
+        confidence: 0.85
+      },
+
+      // 運転免許証番号（12桁、マイナンバーと区別するため「免許」の語に続くもののみ）
+      driversLicense: {
+        regex: /(?<=免許(?:証)?(?:の)?(?:番号|No\.?)?[\s　:：]*(?:第)?[\s　]*)\d{12}(?!\d)/g,
+        label: 'DriversLicense',
+        description: '運転免許証番号',
+        priority: 65,
+        confidence: 0.9
+      },
+
+      // 旅券番号（英字2文字 + 数字7桁、型番・注文番号と区別するため「旅券」「パスポート」の語に続くもののみ）
+      passport: {
+        regex: /(?<=(?:旅券|パスポート|[Pp]assport|PASSPORT)(?:の)?[\s　]*(?:番号|No\.?|[Nn]umber)?[\s　:：#]*)[A-Z]{2}\d{7}(?![A-Za-z0-9])/g,
+        label: 'Passport',
+        description: '旅券番号',
+        priority: 55,
+        confidence: 0.9
       }
     };
+  }
 
-    // マスキング結果を保存（復元用）
-    this.mappingTable = new Map();
-    this.counter = {};
+  /**
+   * 番号の検証処理（パターン設定の validator で名前を指定して使用）
+   * 区切りの空白・ハイフンは除いてから検証する
+   */
+  static VALIDATORS = {
+    // Luhnアルゴリズム（クレジットカード等）
+    luhn(text) {
+      const digits = text.replace(/[-\s]/g, '');
+      if (!/^\d+$/.test(digits)) return false;
+
+      let sum = 0;
+      for (let i = 0; i < digits.length; i++) {
+        let digit = Number(digits[digits.length - 1 - i]);
+        if (i % 2 === 1) {
+          digit *= 2;
+          if (digit > 9) digit -= 9;
+        }
+        sum += digit;
+      }
+      return sum % 10 === 0;
+    },
+
+    // クレジットカード番号（国際ブランドの先頭番号 + Luhn）
+    creditCard(text) {
+      const digits = text.replace(/[-\s]/g, '');
+      return digits.length >= 13 && digits.length <= 19 &&
+        /^[3-6]/.test(digits) &&
+        !/^(\d)\1+$/.test(digits) &&
+        MaskingEngine.VALIDATORS.luhn(digits);
+    },
+
+    // モジュラス11（末尾がチェックディジット、重みは右から2〜7の繰り返し）
+    mod11(text) {
+      const digits = text.replace(/[-\s]/g, '');
+      if (!/^\d{2,}$/.test(digits)) return false;
+
+      let sum = 0;
+      for (let n = 1; n < digits.length; n++) {
+        const p = Number(digits[digits.length - 1 - n]);
+        const q = ((n - 1) % 6) + 2;
+        sum += p * q;
+      }
+      const remainder = sum % 11;
+      const checkDigit = remainder <= 1 ? 0 : 11 - remainder;
+      return checkDigit === Number(digits[digits.length - 1]);
+    },
+
+    // マイナンバー（12桁、総務省令で定めるmod-11のチェックディジット）
+    myNumber(text) {
+      const digits = text.replace(/[-\s]/g, '');
+      return /^\d{12}$/.test(digits) &&
+        !/^(\d)\1+$/.test(digits) &&
+        MaskingEngine.VALIDATORS.mod11(digits);
+    },
+
+    // 法人番号（mod-9、先頭がチェックディジット）
+    corporateNumber(text) {
+      const digits = text.replace(/[-\s]/g, '');
+      if (!/^\d{13}$/.test(digits) || /^(\d)\1+$/.test(digits)) return false;
+
+      let sum = 0;
+      for (let n = 1; n <= 12; n++) {
+        const p = Number(digits[13 - n]);
+        sum += p * (n % 2 === 1 ? 1 : 2);
+      }
+      return 9 - (sum % 9) === Number(digits[0]);
+    },
+
+    // 実在する日付（2024-01-31, 2024/1/31, 2024年1月31日, 20240131）
+    date(text) {
+      const match = text.normalize('NFKC').match(/(\d{4})[-\/.年]?(\d{1,2})[-\/.月]?(\d{1,2})日?/);
+      if (!match) return false;
+
+      const [, year, month, day] = match.map(Number);
+      const date = new Date(year, month - 1, day);
+      return date.getFullYear() === year && date.getMonth() === month - 1 && date.getDate() === day;
+    }
+  };
+
+  /**
+   * 検証方法の表示名（検知理由の説明に使用）
+   */
+  static VALIDATOR_LABELS = {
+    luhn: 'Luhn',
+    mod11: 'モジュラス11',
+    myNumber: 'マイナンバーのチェックディジット',
+    corporateNumber: '法人番号のチェックディジット',
+    creditCard: 'Luhn',
+    date: '実在する日付'
+  };
+
+  /**
+   * パターンごとに設定できる追加条件（組み込み・カスタムの両方で使用）
+   * contextKeywords: 前後 contextWindow 文字以内にいずれかがある場合のみ検知
+   * excludeKeywords: 前後 contextWindow 文字以内にいずれかがある場合は検知しない
+   * minLength / maxLength: 一致した文字列の長さの範囲
+   * validator: MaskingEngine.VALIDATORS のキー
+   */
+  static RULE_KEYS = ['contextKeywords', 'excludeKeywords', 'contextWindow', 'minLength', 'maxLength', 'validator'];
+
+  /**
+   * 保存された設定から追加条件だけを取り出す（未設定の項目は含めない）
+   * @param {Object} source - パターンの設定（chrome.storage.sync）
+   * @return {Object} 追加条件
+   */
+  static pickRules(source = {}) {
+    const rules = {};
+    for (const key of MaskingEngine.RULE_KEYS) {
+      const value = source[key];
+      if (Array.isArray(value) ? value.length > 0 : value !== undefined && value !== null && value !== '') {
+        rules[key] = value;
+      }
+    }
+    return rules;
+  }
+
+  /**
+   * 同一エンティティ判定用に文字列を正規化
+   * @param {string} text - 検知された文字列
+   * @return {string} 正規化済みの文字列
+   */
+  normalizeEntity(text) {
+    let normalized = text;
+
+    if (this.normalization.foldWidth) {
+      normalized = normalized.normalize('NFKC');
+    }
+    if (this.normalization.ignoreWhitespace) {
+      normalized = normalized.replace(/[\s　]+/g, '');
+    }
+    if (this.normalization.stripHonorifics) {
+      normalized = this.splitHonorific(normalized).core;
+    }
+    if (this.normalization.ignoreCase) {
+      normalized = normalized.toLowerCase();
+    }
+
+    return normalized;
+  }
+
+  /**
+   * 末尾の敬称を分離
+   * @param {string} text - 検知された文字列
+   * @return {Object} { core, suffix }
+   */
+  splitHonorific(text) {
+    for (const honorific of this.honorifics) {
+      if (text.length > honorific.length && text.endsWith(honorific)) {
+        return { core: text.slice(0, -honorific.length), suffix: honorific };
+      }
+    }
+    return { core: text, suffix: '' };
+  }
+
+  /**
+   * エンティティに対応するラベルを取得（未登録なら新規発行）
+   * @param {string} patternKey - パターンのキー
+   * @param {Object} patternConfig - パターン設定
+   * @param {string} originalText - 検知された文字列
+   * @return {string} マスキング用ラベル
+   */
+  getLabelForEntity(patternKey, patternConfig, originalText) {
+    const entityKey = `${patternKey}:${this.normalizeEntity(originalText)}`;
+
+    if (this.entityLabels.has(entityKey)) {
+      return this.entityLabels.get(entityKey);
+    }
+
+    // 方式で値を作れない場合・復元できない値になる場合は連番のラベルを使う
+    let maskLabel = this.createMaskedValue(patternKey, patternConfig, entityKey, originalText);
+    while (!maskLabel) {
+      this.counter[patternKey] = (this.counter[patternKey] || 0) + 1;
+      maskLabel = `[${patternConfig.label}_${this.formatLabelSuffix(this.counter[patternKey])}]`;
+      // 既存ラベルとの衝突を回避
+      if (this.mappingTable.has(maskLabel) || this.reservedLabels.has(maskLabel)) {
+        maskLabel = null;
+      }
+    }
+
+    this.entityLabels.set(entityKey, maskLabel);
+    // 復元時は最初に出現した表記に戻す
+    this.mappingTable.set(maskLabel, originalText);
+
+    return maskLabel;
+  }
+
+  /**
+   * パターンのマスキング方式で置き換える値を作成
+   * @return {string|null} 置き換える値（nullの場合は連番のラベルを使う）
+   */
+  createMaskedValue(patternKey, patternConfig, entityKey, originalText) {
+    switch (this.strategies[patternKey]) {
+      case 'partial':
+        return this.isRestorable(this.partialMask(originalText), originalText);
+
+      case 'format':
+        return this.generateUnique((attempt) =>
+          this.surrogateGenerator.generateFormatted(entityKey, originalText, attempt), originalText);
+
+      case 'hash': {
+        if (!this.surrogateGenerator) return null;
+        const label = `[${patternConfig.label}_${this.surrogateGenerator.hashEntity(entityKey, this.hashSalt)}]`;
+        return this.reservedLabels.has(label) ? null : this.isRestorable(label, originalText);
+      }
+
+      default:
+        if (this.replacementMode !== 'surrogate') return null;
+        return this.generateUnique((attempt) =>
+          this.surrogateGenerator.generate(patternKey, entityKey, originalText, attempt), originalText);
+    }
+  }
+
+  /**
+   * 重ならない値ができるまで作り直す
+   * @param {Function} generate - 再生成の回数から値を作る関数（nullは生成できないことを表す）
+   * @return {string|null}
+   */
+  generateUnique(generate, originalText) {
+    if (!this.surrogateGenerator) return null;
+
+    for (let attempt = 0; attempt < 20; attempt++) {
+      const value = generate(attempt);
+      if (!value) return null;
+      if (this.isRestorable(value, originalText)) return value;
+    }
+    return null;
+  }
+
+  /**
+   * 対応表で元に戻せる値かどうか
+   * 発行済みの値・入力テキスト中の語・元の値と重なる場合は復元できないため使わない
+   * @return {string|null} 使える場合はその値
+   */
+  isRestorable(value, originalText) {
+    const collides = this.mappingTable.has(value) ||
+      this.sourceText.includes(value) ||
+      this.normalizeEntity(value) === this.normalizeEntity(originalText);
+    return collides ? null : value;
+  }
+
+  /**
+   * 一部を伏せた値（マスキング方式「一部を伏せる」）
+   * 番号は末尾4桁、メールアドレスは先頭1文字とドメインを残す
+   * @param {string} text - 検知された文字列
+   * @return {string} 例: 090-****-5678 / **** **** **** 1111 / y*****@example.com
+   */
+  partialMask(text) {
+    const email = text.match(/^([^@]+)@(.+)$/);
+    if (email) {
+      return `${email[1][0]}${'*'.repeat(email[1].length - 1)}@${email[2]}`;
+    }
+
+    const digitCount = (text.match(/\d/g) || []).length;
+    if (digitCount >= 6) {
+      // 電話番号は先頭のまとまり（市外局番・携帯電話の番号帯）も残す
+      const groups = text.split(/[^\dA-Za-z]+/).filter(Boolean);
+      const keepHead = groups.length >= 3 && groups[0].startsWith('0') ? groups[0].length : 0;
+      let position = 0;
+      let digitsSeen = 0;
+      return text.replace(/[\dA-Za-z]/g, (char) => {
+        position++;
+        if (/\d/.test(char)) digitsSeen++;
+        return position <= keepHead || digitsSeen > digitCount - 4 ? char : '*';
+      });
+    }
+
+    // 氏名・住所など: 先頭1文字だけ残す
+    return [...text].map((char, index) => (index === 0 || /[\s　\-]/.test(char) ? char : '*')).join('');
+  }
+
+  /**
+   * 連番をラベルの識別子に変換
+   * @param {number} sequence - 1始まりの連番
+   * @return {string} ラベルの識別子（例: A, Z, AA / 1, 2 / K7Q2XM）
+   */
+  formatLabelSuffix(sequence) {
+    switch (this.labelScheme) {
+      case 'numeric':
+        return String(sequence);
+
+      case 'token': {
+        const chars = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+        const bytes = crypto.getRandomValues(new Uint8Array(6));
+        return Array.from(bytes, (byte) => chars[byte % chars.length]).join('');
+      }
+
+      default: {
+        // 1 → A, 26 → Z, 27 → AA, 52 → AZ, 53 → BA ...
+        let suffix = '';
+        let n = sequence;
+        while (n > 0) {
+          const remainder = (n - 1) % 26;
+          suffix = String.fromCharCode(65 + remainder) + suffix;
+          n = Math.floor((n - 1) / 26);
+        }
+        return suffix;
+      }
+    }
   }
 
   /**
    * テキストをマスキング
    * @param {string} text - 元のテキスト
-   * @param {Array<string>} enabledPatterns - 有効にするパターン（デフォルト: 全て）
-   * @return {Object} { maskedText, detections, mappingTable }
+   * @param {Object|Array<string>} options - マスキングオプション（配列の場合はenabledPatternsとして扱う）
+   * @param {Array<string>} options.enabledPatterns - 有効にするパターン（デフォルト: 全て）
+   * @param {MaskingSession} options.session - 会話セッション（指定時は既存のラベルを再利用し、結果を蓄積する）
+   * @param {Array<string>} options.ignore - 今回に限りマスキングしない語句
+   * @return {Object} { maskedText, detections, mappingTable, format }
+   *   format: 構造を保ってマスキングした形式（StructuredText.FORMATS のキー、文章の場合はnull）
    */
-  mask(text, enabledPatterns = null) {
-    if (!text) return { maskedText: '', detections: [], mappingTable: new Map() };
+  mask(text, options = {}) {
+    const { enabledPatterns = null, session = null, ignore = [], include = [] } = Array.isArray(options)
+      ? { enabledPatterns: options }
+      : (options || {});
 
-    // カウンターとマッピングテーブルをリセット
-    this.counter = {};
-    this.mappingTable = new Map();
-    
-    let maskedText = text;
+    this.useSession(session);
+
+    if (!text) return { maskedText: '', detections: [], mappingTable: new Map(this.mappingTable), format: null };
+
+    // 入力に既に含まれるラベル・代替値は新規発行しない（復元時の衝突防止）
+    this.reservedLabels = new Set(this.findLabelRanges(text).map((range) => range.label));
+    this.sourceText = text;
+
+    // 元のテキスト上で候補を集め、重なりを解消してから一度だけ置換する
+    this.ignoredOnce = new Set(ignore.map((term) => this.normalizeEntity(term)));
+    this.includedOnce = include
+      .map((entry) => {
+        const compiled = MaskingEngine.compileTermEntry({ term: entry.term, match: 'exact' });
+        return compiled && { ...compiled, type: entry.type };
+      })
+      .filter(Boolean);
+    const format = this.detectFormat(text);
+    const spans = this.findSpans(text, enabledPatterns, format);
+    this.ignoredOnce = new Set();
+    this.includedOnce = [];
+
+    let maskedText = '';
+    let cursor = 0;
     const detections = [];
 
+    for (const span of spans) {
+      // 出現順にラベルを割り当てる（同一エンティティは同じラベル）
+      const maskLabel = this.getLabelForEntity(span.type, span.config, span.text);
+
+      // JSONの数値は文字列にしないと不正なJSONになるため引用符で囲む（復元後は文字列になる）
+      maskedText += text.slice(cursor, span.start) + (span.quote ? JSON.stringify(maskLabel) : maskLabel);
+      cursor = span.end;
+
+      // 検知情報を記録（位置は常に入力テキスト基準）
+      detections.push({
+        type: span.type,
+        description: span.config.description,
+        original: span.text,
+        masked: maskLabel,
+        startIndex: span.start,
+        endIndex: span.end,
+        confidence: span.confidence,
+        reason: span.reason,
+        manual: Boolean(span.manual)
+      });
+    }
+    maskedText += text.slice(cursor);
+    this.sourceText = '';
+
+    return {
+      maskedText,
+      detections,
+      mappingTable: new Map(this.mappingTable),
+      format
+    };
+  }
+
+  /**
+   * マッピングの状態を会話セッションに切り替える
+   * @param {MaskingSession|null} session - nullの場合は新しい状態から始める
+   */
+  useSession(session) {
+    if (session) {
+      // セッションの状態をそのまま引き継ぐ（結果はセッションに蓄積される）
+      this.counter = session.counter;
+      this.mappingTable = session.mappingTable;
+      this.entityLabels = session.entityLabels;
+    } else {
+      // カウンターとマッピングテーブルをリセット
+      this.counter = {};
+      this.mappingTable = new Map();
+      this.entityLabels = new Map();
+    }
+  }
+
+  /**
+   * 1件のエンティティに対するラベルを取得（入力欄での個別マスキング用）
+   * @param {string} patternKey - パターンのキー
+   * @param {string} text - 検知された文字列
+   * @param {Object} options - { session }
+   * @return {string|null} マスキング用ラベル
+   */
+  labelFor(patternKey, text, { session = null } = {}) {
+    const patternConfig = this.patterns[patternKey];
+    if (!patternConfig || !text) return null;
+
+    this.useSession(session);
+    this.reservedLabels = new Set();
+    return this.getLabelForEntity(patternKey, patternConfig, text);
+  }
+
+  /**
+   * マスキングしない語句かどうか
+   * 管理ポリシーで必須のパターンは、利用者の「無視」・許可リストでは除外しない
+   * @param {string} text - 検知された文字列
+   * @param {string} patternKey - 検知したパターンのキー
+   * @return {boolean}
+   */
+  isIgnored(text, patternKey = null) {
+    if (this.enforcedPatterns.includes(patternKey)) {
+      return this.allowlist.some((entry) => entry.managed && entry.whole.test(text));
+    }
+
+    const normalized = this.normalizeEntity(text);
+    return this.ignoredTerms.has(normalized) ||
+      this.ignoredOnce.has(normalized) ||
+      this.allowlist.some((entry) => entry.whole.test(text));
+  }
+
+  /**
+   * 許可リスト・拒否リストの項目を正規表現に変換
+   * @param {Object|string} entry - { term, match: 'exact' | 'ignoreCase' | 'regex', managed: 管理ポリシーの項目か }
+   * @return {Object|null} { term, match, regex, whole, managed }（無効な項目の場合はnull）
+   */
+  static compileTermEntry(entry) {
+    const { term, match = 'exact', managed = false } = typeof entry === 'string' ? { term: entry } : (entry || {});
+    if (!term) return null;
+
+    try {
+      const source = match === 'regex' ? term : term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      const flags = match === 'ignoreCase' ? 'i' : '';
+      return {
+        term,
+        match,
+        managed: managed === true,
+        regex: new RegExp(source, `g${flags}`),      // テキスト中の出現位置の検索用
+        whole: new RegExp(`^(?:${source})$`, flags)  // 検知された文字列全体との照合用
+      };
+    } catch (error) {
+      console.error('Invalid term entry:', entry, error);
+      return null;
+    }
+  }
+
+  /**
+   * 許可リスト・拒否リストの語句の出現位置を取得
+   * @param {string} text - 対象テキスト
+   * @param {Array} entries - compileTermEntry()の結果の配列
+   * @return {Array} { start, end } の配列
+   */
+  findTermRanges(text, entries) {
+    return entries.flatMap(({ regex }) =>
+      [...text.matchAll(regex)]
+        .filter((match) => match[0])
+        .map((match) => ({ start: match.index, end: match.index + match[0].length }))
+    );
+  }
+
+  /**
+   * 構造を保ってマスキングするテキストの形式を判定
+   * @param {string} text - 元のテキスト
+   * @return {string|null} StructuredText.FORMATS のキー（文章として扱う場合はnull）
+   */
+  detectFormat(text) {
+    if (!this.structuredMasking || !this.structuredText || !text) return null;
+    return this.structuredText.detectFormat(text);
+  }
+
+  /**
+   * 元のテキスト上の検知範囲を確定
+   * @param {string} text - 元のテキスト
+   * @param {Array<string>} enabledPatterns - 有効にするパターン（デフォルト: 全て）
+   * @param {string|null} format - テキストの形式（デフォルト: 自動判定）
+   * @return {Array} 重なりのない検知範囲（出現順、位置は入力テキスト基準）
+   */
+  findSpans(text, enabledPatterns = null, format = this.detectFormat(text)) {
+    const spans = format
+      ? this.findStructuredSpans(text, format, enabledPatterns)
+      : this.findSpansInRange(text, 0, text.length, enabledPatterns);
+
+    // 無視する語句は範囲としては確保したうえで結果から除く（一部だけ別パターンで検知されないように）
+    return spans.filter((span) => span.manual || !this.isIgnored(span.text, span.type));
+  }
+
+  /**
+   * JSON・CSV/TSV・Markdownの表の検知範囲を確定
+   * 検知は値の範囲の中だけで行い、引用符・区切り文字・罫線をまたがないようにする
+   * 項目名から種類が分かる値（email・電話番号の列など）は、パターンに一致しなくても値全体をマスキングする
+   * @param {string} text - 元のテキスト
+   * @param {string} format - StructuredText.FORMATS のキー
+   * @param {Array<string>} enabledPatterns - 有効にするパターン（デフォルト: 全て）
+   * @return {Array} 重なりのない検知範囲（出現順）
+   */
+  findStructuredSpans(text, format, enabledPatterns = null) {
+    const { fields, free } = this.structuredText.parse(text, format);
+    const maskedRanges = this.findLabelRanges(text);
+    const spans = [];
+
+    for (const range of free) {
+      spans.push(...this.findSpansInRange(text, range.start, range.end, enabledPatterns));
+    }
+
+    for (const field of fields) {
+      if (field.end <= field.start) continue;
+
+      const type = this.structuredText.classifyField(field.key, this.structuredFields);
+      const config = type === 'field' ? MaskingEngine.FIELD_PATTERN : this.patterns[type];
+      let value = text.slice(field.start, field.end);
+      if (config?.honorific && this.normalization.stripHonorifics) {
+        value = this.splitHonorific(value).core;
+      }
+      const end = field.start + value.length;
+
+      const wholeField = config &&
+        (!enabledPatterns || enabledPatterns.includes(type)) &&
+        /[\p{L}\p{N}]/u.test(value) &&
+        !maskedRanges.some((range) => field.start < range.end && range.start < end);
+
+      if (wholeField) {
+        spans.push({
+          type,
+          config,
+          start: field.start,
+          end,
+          text: value,
+          priority: config.priority ?? 0,
+          confidence: 1,
+          reason: `項目「${field.key}」の値`,
+          quote: field.kind === 'number'
+        });
+      } else if (field.kind === 'string') {
+        // 値の一部だけを置き換えると不正な数値になるため、数値はパターンで検知しない
+        spans.push(...this.findSpansInRange(text, field.start, field.end, enabledPatterns));
+      }
+    }
+
+    return spans.sort((a, b) => a.start - b.start);
+  }
+
+  /**
+   * 指定範囲内の検知範囲を確定
+   * 競合に負けた候補の残り部分に別の個人情報が隠れている場合があるため、
+   * 採用されなかった区間は再走査する
+   */
+  findSpansInRange(text, from, to, enabledPatterns) {
+    const candidates = this.collectCandidates(text.slice(from, to), enabledPatterns, { text, offset: from }).map(
+      (candidate) => ({ ...candidate, start: candidate.start + from, end: candidate.end + from })
+    );
+    const accepted = this.resolveOverlaps(candidates);
+    const rejected = candidates.filter((candidate) => !accepted.includes(candidate));
+
+    if (rejected.length === 0) return accepted;
+
+    const spans = [...accepted];
+    let cursor = from;
+    for (const boundary of [...accepted, { start: to, end: to }]) {
+      const hasRejected = rejected.some(
+        (candidate) => candidate.start < boundary.start && cursor < candidate.end
+      );
+      if (boundary.start > cursor && hasRejected) {
+        spans.push(...this.findSpansInRange(text, cursor, boundary.start, enabledPatterns));
+      }
+      cursor = boundary.end;
+    }
+
+    return spans.sort((a, b) => a.start - b.start);
+  }
+
+  /**
+   * 元のテキストから全パターンの検知候補を収集
+   * @param {string} text - 元のテキスト
+   * @param {Array<string>} enabledPatterns - 有効にするパターン（デフォルト: 全て）
+   * @param {Object} surrounding - 周辺の語の判定に使う全文と、textの全文中の開始位置
+   * @return {Array} 候補の配列 { type, config, start, end, text, priority, confidence, reason, manual }
+   */
+  collectCandidates(text, enabledPatterns = null, surrounding = { text, offset: 0 }) {
     // 使用するパターンを決定
-    const patternsToUse = enabledPatterns 
+    const patternsToUse = enabledPatterns
       ? Object.entries(this.patterns).filter(([key]) => enabledPatterns.includes(key))
       : Object.entries(this.patterns);
 
-    // 各パターンでマッチング
+    // 既にマスク済みのラベル部分と、許可リストの語句は検知対象外
+    const maskedRanges = this.findLabelRanges(text);
+    const allowedRanges = this.findTermRanges(text, this.allowlist);
+    const managedAllowedRanges = this.findTermRanges(text, this.allowlist.filter((entry) => entry.managed));
+
+    const candidates = [];
+
     for (const [patternKey, patternConfig] of patternsToUse) {
-      const matches = [...maskedText.matchAll(patternConfig.regex)];
-      
-      if (matches.length === 0) continue;
+      for (const match of this.runPattern(patternConfig, text)) {
+        let matchedText = text.slice(match.start, match.end);
+        if (!matchedText) continue;
 
-      // カウンター初期化
-      if (!this.counter[patternKey]) {
-        this.counter[patternKey] = 0;
-      }
+        // 敬称はラベルに含めず本文に残す
+        if (patternConfig.honorific && this.normalization.stripHonorifics) {
+          matchedText = this.splitHonorific(matchedText).core;
+        }
 
-      // 各マッチを処理（後ろから処理して位置がずれないようにする）
-      for (let i = matches.length - 1; i >= 0; i--) {
-        const match = matches[i];
-        const originalText = match[0];
-        const startIndex = match.index;
-        const endIndex = startIndex + originalText.length;
+        const start = match.start;
+        const end = start + matchedText.length;
 
-        // マスク済みの場合はスキップ
-        if (originalText.startsWith('[') && originalText.endsWith(']')) {
+        // 長さ・チェックディジット・周辺の語の条件を満たさないものは誤検知として除外
+        const offset = surrounding.offset;
+        if (!this.matchesRules(patternConfig, matchedText, surrounding.text, start + offset, end + offset)) {
           continue;
         }
 
-        // マスキング用のラベルを生成
-        this.counter[patternKey]++;
-        const maskLabel = `[${patternConfig.label}_${String.fromCharCode(64 + this.counter[patternKey])}]`;
+        if (maskedRanges.some((range) => start < range.end && range.start < end)) {
+          continue;
+        }
+        // 拒否リストは許可リストより優先（常にマスキング）
+        // 管理ポリシーで必須のパターンは管理ポリシーの許可リストのみ適用
+        const ranges = this.enforcedPatterns.includes(patternKey) ? managedAllowedRanges : allowedRanges;
+        if (patternKey !== 'denylist' && ranges.some((range) => start < range.end && range.start < end)) {
+          continue;
+        }
 
-        // マッピングテーブルに保存
-        this.mappingTable.set(maskLabel, originalText);
+        candidates.push({
+          type: patternKey,
+          config: patternConfig,
+          start,
+          end,
+          text: matchedText,
+          priority: patternConfig.priority ?? 0,
+          confidence: match.confidence ?? patternConfig.confidence ?? 0.5,
+          reason: match.reason || this.explainMatch(patternConfig, surrounding.text, start + offset, end + offset)
+        });
+      }
+    }
 
-        // テキストを置換
-        maskedText = maskedText.slice(0, startIndex) + maskLabel + maskedText.slice(endIndex);
+    // 手動で指定された語句はどのパターンよりも優先（許可リストより優先）
+    for (const entry of this.includedOnce) {
+      const config = this.patterns[entry.type]
+        ? { ...this.patterns[entry.type], priority: MaskingEngine.MANUAL_PATTERN.priority }
+        : MaskingEngine.MANUAL_PATTERN;
 
-        // 検知情報を記録
-        detections.push({
-          type: patternKey,
-          description: patternConfig.description,
-          original: originalText,
-          masked: maskLabel,
-          startIndex,
-          endIndex
+      for (const range of this.findTermRanges(text, [entry])) {
+        if (maskedRanges.some((masked) => range.start < masked.end && masked.start < range.end)) {
+          continue;
+        }
+        candidates.push({
+          type: this.patterns[entry.type] ? entry.type : 'manual',
+          config,
+          start: range.start,
+          end: range.end,
+          text: text.slice(range.start, range.end),
+          priority: config.priority,
+          confidence: 1,
+          reason: '手動で指定',
+          manual: true
         });
       }
     }
 
-    return {
-      maskedText,
-      detections: detections.reverse(), // 元の順序に戻す
-      mappingTable: new Map(this.mappingTable)
-    };
+    return candidates;
+  }
+
+  /**
+   * 検知の理由（一致したパターン・検証方法・周辺の語）を説明する文を生成
+   * @param {Object} patternConfig - パターン設定
+   * @param {string} text - 全文
+   * @param {number} start - 全文中の開始位置
+   * @param {number} end - 全文中の終了位置
+   * @return {string}
+   */
+  explainMatch(patternConfig, text, start, end) {
+    const parts = [`パターン「${patternConfig.description}」に一致`];
+
+    if (patternConfig.validator) {
+      parts.push(`${MaskingEngine.VALIDATOR_LABELS[patternConfig.validator] || patternConfig.validator}で検証済み`);
+    }
+
+    const window = patternConfig.contextWindow ?? 20;
+    const around = text.slice(Math.max(0, start - window), start) + ' ' + text.slice(end, end + window);
+    const keyword = (patternConfig.contextKeywords || []).find((k) => around.includes(k));
+    if (keyword) {
+      parts.push(`周辺に「${keyword}」`);
+    }
+
+    return parts.join('、');
+  }
+
+  /**
+   * パターンの追加条件（長さ・検証・周辺の語）を満たすか
+   * @param {Object} patternConfig - パターン設定
+   * @param {string} matchedText - 一致した文字列
+   * @param {string} text - 全文
+   * @param {number} start - 全文中の開始位置
+   * @param {number} end - 全文中の終了位置
+   * @return {boolean}
+   */
+  matchesRules(patternConfig, matchedText, text, start, end) {
+    const { minLength, maxLength, contextKeywords = [], excludeKeywords = [] } = patternConfig;
+
+    if (minLength && matchedText.length < minLength) return false;
+    if (maxLength && matchedText.length > maxLength) return false;
+
+    const validator = MaskingEngine.VALIDATORS[patternConfig.validator];
+    if (validator && !validator(matchedText)) return false;
+
+    if (contextKeywords.length === 0 && excludeKeywords.length === 0) return true;
+
+    const window = patternConfig.contextWindow ?? 20;
+    const around = text.slice(Math.max(0, start - window), start) + ' ' + text.slice(end, end + window);
+    if (excludeKeywords.some((keyword) => around.includes(keyword))) return false;
+    return contextKeywords.length === 0 || contextKeywords.some((keyword) => around.includes(keyword));
+  }
+
+  /**
+   * パターンを実行して一致範囲を取得
+   * @param {Object} patternConfig - パターン設定
+   * @param {string} text - 対象テキスト
+   * @return {Array} { start, end, confidence?, reason? } の配列
+   */
+  runPattern(patternConfig, text) {
+    if (typeof patternConfig.detect === 'function') {
+      return patternConfig.detect(text);
+    }
+    return [...text.matchAll(patternConfig.regex)].map((match) => ({
+      start: match.index,
+      end: match.index + match[0].length
+    }));
+  }
+
+  /**
+   * テキスト中の既存ラベル（[Person_A]等）と、対応表にある代替値の位置を取得
+   * @param {string} text - 対象テキスト
+   * @param {Map} mappingTable - 代替値を探す対応表（デフォルト: 現在の対応表）
+   * @return {Array} { start, end, label } の配列（出現順）
+   */
+  findLabelRanges(text, mappingTable = this.mappingTable) {
+    const ranges = [...text.matchAll(/\[[A-Za-z][\w-]*_[A-Za-z0-9]+\]/g)].map((m) => ({
+      start: m.index,
+      end: m.index + m[0].length,
+      label: m[0]
+    }));
+
+    // 代替値は長いものから探し、既に見つかった範囲と重なるものは除く
+    const surrogates = [...mappingTable.keys()]
+      .filter((label) => label && !label.startsWith('['))
+      .sort((a, b) => b.length - a.length);
+    for (const label of surrogates) {
+      for (let start = text.indexOf(label); start !== -1; start = text.indexOf(label, start + label.length)) {
+        const end = start + label.length;
+        if (!ranges.some((range) => start < range.end && range.start < end)) {
+          ranges.push({ start, end, label });
+        }
+      }
+    }
+
+    return ranges.sort((a, b) => a.start - b.start);
+  }
+
+  /**
+   * 重なり合う候補を解消
+   * 優先度 → 長さ → 確からしさ → 出現位置の順で採用し、採用済みと重なる候補は捨てる
+   * @param {Array} candidates - collectCandidates()の結果
+   * @return {Array} 重なりのない候補（出現順）
+   */
+  resolveOverlaps(candidates) {
+    const ranked = [...candidates].sort((a, b) =>
+      (b.priority - a.priority) ||
+      ((b.end - b.start) - (a.end - a.start)) ||
+      (b.confidence - a.confidence) ||
+      (a.start - b.start)
+    );
+
+    const accepted = [];
+    for (const candidate of ranked) {
+      const overlaps = accepted.some(
+        (span) => candidate.start < span.end && span.start < candidate.end
+      );
+      if (!overlaps) {
+        accepted.push(candidate);
+      }
+    }
+
+    return accepted.sort((a, b) => a.start - b.start);
   }
 
   /**
@@ -131,15 +1049,174 @@ class MaskingEngine {
    */
   restore(maskedText, mappingTable) {
     if (!maskedText || !mappingTable) return maskedText;
+    return this.restoreWithReport(maskedText, mappingTable).restoredText;
+  }
+
+  /**
+   * マスキングされたテキスト（AIの返答など）を復元し、ラベルの照合結果を報告
+   * @param {string} maskedText - マスキング済みテキスト
+   * @param {Map} mappingTable - マッピングテーブル
+   * @return {Object} { restoredText, found, missing, unexpected, leaked }
+   *   found: 復元したラベル / missing: テキストに見つからなかったラベル /
+   *   unexpected: 対応表にないラベル（AIが作った・書き換えたもの） /
+   *   leaked: 復元前のテキストにそのまま含まれていた元の値（{ label, original } の配列）
+   */
+  restoreWithReport(maskedText, mappingTable) {
+    const found = new Set();
+    const unexpected = new Set();
+    const untouched = [];
+    let restoredText = '';
+    let cursor = 0;
+
+    for (const token of this.tokenizeLabels(maskedText, mappingTable)) {
+      untouched.push(maskedText.slice(cursor, token.start));
+      restoredText += maskedText.slice(cursor, token.start);
+      if (token.label) {
+        restoredText += mappingTable.get(token.label);
+        found.add(token.label);
+      } else {
+        restoredText += token.text;
+        unexpected.add(token.text);
+      }
+      cursor = token.end;
+    }
+    untouched.push(maskedText.slice(cursor));
+    restoredText += maskedText.slice(cursor);
+
+    return {
+      restoredText,
+      found: [...found],
+      missing: [...mappingTable.keys()].filter((label) => !found.has(label)),
+      unexpected: [...unexpected],
+      leaked: this.findLeakedOriginals(untouched, mappingTable)
+    };
+  }
+
+  /**
+   * 元の値がマスキングされずにテキストに含まれていないか調べる
+   * 送信前にマスキングし損ねた値や、AIが推測して書いた値の検出に使う
+   * @param {Array<string>} segments - ラベル・代替値を除いたテキストの断片
+   * @param {Map} mappingTable - マッピングテーブル
+   * @return {Array} { label, original } の配列（同じ元の値は1件にまとめる）
+   */
+  findLeakedOriginals(segments, mappingTable) {
+    const leaked = new Map();
+    for (const [label, original] of mappingTable) {
+      if (!original || leaked.has(original)) continue;
+      if (segments.some((segment) => segment.includes(original))) {
+        leaked.set(original, { label, original });
+      }
+    }
+    return [...leaked.values()];
+  }
+
+  // ラベルの表記揺れ: 全角括弧・Markdownのエスケープ（\[Person_A\]）・区切りの空白/ハイフン/省略
+  static BRACKET_LABEL = /\\?[\[［【][ 　]*([A-Za-z][A-Za-z0-9]*(?:[_＿ 　-][A-Za-z0-9]+)?)[ 　]*\\?[\]］】]/y;
+
+  // 括弧を省略したラベル（Person_A）
+  static BARE_LABEL = /[A-Za-z][A-Za-z0-9]*_[A-Za-z0-9]+(?![A-Za-z0-9_])/y;
+
+  /**
+   * テキスト中のラベル・代替値を字句解析で取り出す
+   * AIが書き換えた表記も対応表のラベルに対応付け、同じ位置で複数の候補に一致する場合は
+   * 対応表にあるものを優先して最も長いものを採用する（[Person_AB]の中の[Person_A]を誤って置換しない）
+   * @param {string} text - 対象テキスト
+   * @param {Map} mappingTable - マッピングテーブル
+   * @return {Array} { start, end, text, label } の配列（対応表にないラベルはlabelがnull）
+   */
+  tokenizeLabels(text, mappingTable) {
+    const index = this.buildLabelIndex(mappingTable);
+    const tokens = [];
+
+    for (let position = 0; position < text.length;) {
+      const token = this.matchLabelAt(text, position, index);
+      if (token) {
+        tokens.push(token);
+        position = token.end;
+      } else {
+        position++;
+      }
+    }
+    return tokens;
+  }
 
-    let restoredText = maskedText;
+  /**
+   * 対応表から照合用の索引を作成
+   * @return {Object} { canonical, types, surrogates }
+   */
+  buildLabelIndex(mappingTable) {
+    const canonical = new Map(); // 表記を揃えたラベル → ラベル（複数に一致する場合はnull）
+    const types = new Set(Object.values(this.patterns).map((config) => config.label?.toLowerCase()));
+    const surrogates = [];
+
+    for (const label of mappingTable.keys()) {
+      const match = label.match(/^\[([A-Za-z][\w-]*)_[A-Za-z0-9]+\]$/);
+      if (!match) {
+        if (label) surrogates.push(label);
+        continue;
+      }
+      const key = MaskingEngine.canonicalLabel(label.slice(1, -1));
+      canonical.set(key, canonical.has(key) ? null : label);
+      types.add(match[1].toLowerCase());
+    }
+
+    return { mappingTable, canonical, types, surrogates: surrogates.sort((a, b) => b.length - a.length) };
+  }
+
+  /**
+   * ラベルの中身の表記を揃える（全角→半角、区切り文字の除去、小文字化）
+   */
+  static canonicalLabel(inner) {
+    return inner.normalize('NFKC').replace(/[_\s-]/g, '').toLowerCase();
+  }
+
+  /**
+   * 指定位置から始まるラベル・代替値を照合
+   * @return {Object|null} { start, end, text, label }
+   */
+  matchLabelAt(text, position, index) {
+    const candidates = [];
+    const resolve = (inner) => {
+      const exact = `[${inner}]`;
+      return index.mappingTable.has(exact) ? exact : (index.canonical.get(MaskingEngine.canonicalLabel(inner)) || null);
+    };
+    const isKnownType = (inner) => index.types.has(inner.normalize('NFKC').split(/[_\s-]/)[0].toLowerCase());
+
+    if ('\\[［【'.includes(text[position])) {
+      MaskingEngine.BRACKET_LABEL.lastIndex = position;
+      const match = MaskingEngine.BRACKET_LABEL.exec(text);
+      if (match) {
+        const label = resolve(match[1]);
+        // 対応表にないものは、既知の種類か [Type_ID] の形の場合のみラベルとみなす（[注] 等は除く）
+        if (label || isKnownType(match[1]) || /^[A-Z][A-Za-z0-9]*_[A-Z0-9]+$/.test(match[1])) {
+          candidates.push({ text: match[0], label });
+        }
+      }
+    }
+
+    if (/[A-Za-z]/.test(text[position]) && !/[A-Za-z0-9_]/.test(text[position - 1] || '')) {
+      MaskingEngine.BARE_LABEL.lastIndex = position;
+      const match = MaskingEngine.BARE_LABEL.exec(text);
+      if (match) {
+        const label = resolve(match[0]);
+        // snake_case の語と区別するため、対応表にないものは既知の種類の場合のみ
+        if (label || isKnownType(match[0])) {
+          candidates.push({ text: match[0], label });
+        }
+      }
+    }
 
-    // マッピングテーブルを使って復元
-    for (const [maskLabel, originalText] of mappingTable.entries()) {
-      restoredText = restoredText.replaceAll(maskLabel, originalText);
+    const surrogate = index.surrogates.find((value) => text.startsWith(value, position));
+    if (surrogate) {
+      candidates.push({ text: surrogate, label: surrogate });
     }
 
-    return restoredText;
+    if (candidates.length === 0) return null;
+
+    const known = candidates.filter((candidate) => candidate.label);
+    const best = (known.length > 0 ? known : candidates)
+      .reduce((longest, candidate) => (candidate.text.length > longest.text.length ? candidate : longest));
+    return { start: position, end: position + best.text.length, ...best };
   }
 
   /**
@@ -148,12 +1225,16 @@ class MaskingEngine {
    * @param {RegExp} regex - 正規表現
    * @param {string} label - マスキング時のラベル
    * @param {string} description - 説明
+   * @param {Object} options - 追加設定（priority, confidence など）
    */
-  addCustomPattern(key, regex, label, description) {
+  addCustomPattern(key, regex, label, description, options = {}) {
     this.patterns[key] = {
       regex,
       label,
-      description
+      description,
+      priority: 60, // 利用者が明示的に定義したものは組み込みパターンより優先
+      confidence: 0.9,
+      ...options
     };
   }
 
@@ -165,6 +1246,88 @@ class MaskingEngine {
     delete this.patterns[key];
   }
 
+  /**
+   * 保存された設定（chrome.storage.sync）をエンジンに反映
+   * パターンは組み込みの状態から作り直すため、何度呼び出しても結果は同じ
+   * @param {Object} settings - { customPatterns, disabledPatterns, patternRules, labelScheme, replacementMode, maskingStrategies, hashSalt, structuredMasking, structuredFields, ignoredTerms, allowlist, denylist, enforcedPatterns }
+   */
+  configure({
+    customPatterns = [],
+    disabledPatterns = [],
+    patternRules = {},
+    labelScheme,
+    replacementMode,
+    maskingStrategies = {},
+    hashSalt,
+    structuredMasking,
+    structuredFields = [],
+    ignoredTerms = [],
+    allowlist = [],
+    denylist = [],
+    enforcedPatterns = []
+  } = {}) {
+    this.patterns = this.getDefaultPatterns();
+    this.ignoredTerms = new Set(ignoredTerms.map((term) => this.normalizeEntity(term)));
+
+    // 以前の「マスキングしない語句」は完全一致の許可リストとして扱う
+    this.allowlist = [...allowlist, ...ignoredTerms]
+      .map((entry) => MaskingEngine.compileTermEntry(entry))
+      .filter(Boolean);
+    this.denylist = denylist
+      .map((entry) => MaskingEngine.compileTermEntry(entry))
+      .filter(Boolean);
+    this.enforcedPatterns = [...enforcedPatterns];
+
+    if (labelScheme) {
+      this.labelScheme = labelScheme;
+    }
+    if (replacementMode) {
+      this.replacementMode = replacementMode;
+    }
+    this.strategies = { ...maskingStrategies };
+    if (hashSalt) {
+      this.hashSalt = hashSalt;
+    }
+    if (typeof structuredMasking === 'boolean') {
+      this.structuredMasking = structuredMasking;
+    }
+    this.structuredFields = [...structuredFields];
+
+    // 無効化されたパターンを除外
+    for (const patternKey of disabledPatterns) {
+      this.removePattern(patternKey);
+    }
+
+    // 組み込みパターンに追加条件を反映
+    for (const [patternKey, rules] of Object.entries(patternRules)) {
+      if (this.patterns[patternKey]) {
+        Object.assign(this.patterns[patternKey], MaskingEngine.pickRules(rules));
+      }
+    }
+
+    // カスタムパターンを追加
+    for (const pattern of customPatterns) {
+      try {
+        const regex = new RegExp(pattern.regex, 'g');
+        this.addCustomPattern(pattern.key, regex, pattern.label, pattern.description, MaskingEngine.pickRules(pattern));
+      } catch (e) {
+        console.error('Invalid custom pattern:', pattern, e);
+      }
+    }
+
+    // 拒否リストの語句はどのパターンよりも優先してマスキング
+    if (this.denylist.length > 0) {
+      this.patterns.denylist = {
+        detect: (text) => this.findTermRanges(text, this.denylist)
+          .map((range) => ({ ...range, confidence: 1, reason: '拒否リストの語句' })),
+        label: 'Confidential',
+        description: '拒否リストの語句',
+        priority: 100,
+        confidence: 1
+      };
+    }
+  }
+
   /**
    * 利用可能なパターン一覧を取得
    * @return {Array} パターン情報の配列
@@ -186,23 +1349,25 @@ class MaskingEngine {
     if (!text) return { hasPersonalInfo: false, summary: {} };
 
     const summary = {};
-    let totalDetections = 0;
-
-    for (const [patternKey, patternConfig] of Object.entries(this.patterns)) {
-      const matches = [...text.matchAll(patternConfig.regex)];
-      if (matches.length > 0) {
-        summary[patternKey] = {
-          count: matches.length,
-          description: patternConfig.description,
-          samples: matches.slice(0, 3).map(m => m[0]) // 最初の3つのみ
+    const spans = this.findSpans(text);
+
+    for (const span of spans) {
+      if (!summary[span.type]) {
+        summary[span.type] = {
+          count: 0,
+          description: span.config.description,
+          samples: []
         };
-        totalDetections += matches.length;
+      }
+      summary[span.type].count++;
+      if (summary[span.type].samples.length < 3) { // 最初の3つのみ
+        summary[span.type].samples.push(span.text);
       }
     }
 
     return {
-      hasPersonalInfo: totalDetections > 0,
-      totalDetections,
+      hasPersonalInfo: spans.length > 0,
+      totalDetections: spans.length,
       summary
     };
   }
@@ -0,0 +1,186 @@
+/**
+ * PrivacyShield for AI - Masking Session
+ *
+ * 会話（URL）単位でマッピングテーブルを保持し、複数回のプロンプトをまたいで
+ * 同じ人物・データに同じラベルを割り当てるためのセッション
+ * chrome.storage.session に保存するため、ブラウザを閉じると破棄される
+ */
+
+class MaskingSession {
+  // 書き込みを直列化するためのキュー（読み込み → 変更 → 保存が重なるとラベルの重複・消失が起きるため）
+  // 全会話のデータを1つの maskingSessions にまとめて保存しているので、会話をまたいで1つのキューで扱う
+  // キューは実行中の画面ごとに別になるため、保存はバックグラウンドでのみ行い、他の画面はメッセージで依頼する
+  static queue = Promise.resolve();
+
+  /**
+   * @param {string} id - 会話のキー（MaskingSession.keyFromUrl()の結果）
+   */
+  constructor(id) {
+    this.id = id;
+    this.mappingTable = new Map(); // ラベル → 元のテキスト
+    this.entityLabels = new Map(); // 正規化済みエンティティ → ラベル
+    this.counter = {};             // パターンごとの連番
+    this.updatedAt = null;
+  }
+
+  /**
+   * URLから会話のキーを生成（クエリ・ハッシュは無視）
+   * @param {string} url - タブのURL
+   * @return {string} 会話のキー
+   */
+  static keyFromUrl(url) {
+    try {
+      const { origin, pathname } = new URL(url);
+      return `${origin}${pathname.replace(/\/+$/, '') || '/'}`;
+    } catch (error) {
+      return 'default';
+    }
+  }
+
+  /**
+   * 会話IDが割り当てられる前の「新しいチャット」画面かどうか
+   * @param {string} key - 会話のキー
+   * @return {boolean}
+   */
+  static isNewConversationKey(key) {
+    try {
+      const { pathname } = new URL(key);
+      return pathname === '/' || pathname === '/new';
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * 保存されたデータからセッションを復元
+   * @param {Object} data - toJSON()の結果
+   * @return {MaskingSession}
+   */
+  static fromJSON(data) {
+    const session = new MaskingSession(data.id);
+    session.mappingTable = new Map(Object.entries(data.mappingTable || {}));
+    session.entityLabels = new Map(Object.entries(data.entityLabels || {}));
+    session.counter = { ...(data.counter || {}) };
+    session.updatedAt = data.updatedAt || null;
+    return session;
+  }
+
+  /**
+   * 保存用のプレーンオブジェクトに変換
+   * @return {Object}
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      mappingTable: Object.fromEntries(this.mappingTable),
+      entityLabels: Object.fromEntries(this.entityLabels),
+      counter: { ...this.counter },
+      updatedAt: this.updatedAt
+    };
+  }
+
+  /**
+   * 複製を作成（確定前のプレビュー用）
+   * @return {MaskingSession}
+   */
+  clone() {
+    return MaskingSession.fromJSON(this.toJSON());
+  }
+
+  /**
+   * 会話のセッションを読み込む（存在しない場合は新規作成）
+   * @param {string} key - 会話のキー
+   * @return {Promise<MaskingSession>}
+   */
+  static async load(key) {
+    const { maskingSessions = {} } = await chrome.storage.session.get('maskingSessions');
+    const data = maskingSessions[key];
+    return data ? MaskingSession.fromJSON(data) : new MaskingSession(key);
+  }
+
+  /**
+   * 書き込みをキューに追加して順番に実行
+   * @param {Function} task - 実行する非同期関数
+   * @return {Promise} taskの結果
+   */
+  static enqueue(task) {
+    const result = MaskingSession.queue.then(task);
+    // 失敗しても以降の書き込みは続ける
+    MaskingSession.queue = result.catch((error) => {
+      console.error('セッションの保存に失敗:', error);
+    });
+    return result;
+  }
+
+  /**
+   * 会話のセッションを読み込んで変更し、保存する（他の更新と重ならないよう直列化）
+   * @param {string} key - 会話のキー
+   * @param {Function} apply - セッションを変更する関数（戻り値をそのまま返す）
+   * @return {Promise} applyの結果
+   */
+  static update(key, apply) {
+    return MaskingSession.enqueue(async () => {
+      const session = await MaskingSession.load(key);
+      const result = await apply(session);
+      await session.write();
+      return result;
+    });
+  }
+
+  /**
+   * セッションを保存
+   * @return {Promise<void>}
+   */
+  save() {
+    return MaskingSession.enqueue(() => this.write());
+  }
+
+  /**
+   * セッションをストレージに書き込む（キューの中からのみ呼び出す）
+   */
+  async write() {
+    this.updatedAt = new Date().toISOString();
+    const { maskingSessions = {} } = await chrome.storage.session.get('maskingSessions');
+    maskingSessions[this.id] = this.toJSON();
+    await chrome.storage.session.set({ maskingSessions });
+  }
+
+  /**
+   * 会話のセッションを削除
+   * @param {string} key - 会話のキー
+   * @return {Promise<void>}
+   */
+  static remove(key) {
+    return MaskingSession.enqueue(async () => {
+      const { maskingSessions = {} } = await chrome.storage.session.get('maskingSessions');
+      delete maskingSessions[key];
+      await chrome.storage.session.set({ maskingSessions });
+    });
+  }
+
+  /**
+   * 「新しいチャット」画面で作ったセッションを、会話IDが付いたURLへ引き継ぐ
+   * 移動先に既にセッションがある場合は何もしない（複数箇所から呼ばれても安全）
+   * @param {string} fromKey - 移動元の会話キー
+   * @param {string} toKey - 移動先の会話キー
+   * @return {Promise<boolean>} 引き継いだかどうか
+   */
+  static async carryOver(fromKey, toKey) {
+    if (fromKey === toKey || !MaskingSession.isNewConversationKey(fromKey)) return false;
+
+    return MaskingSession.enqueue(async () => {
+      const { maskingSessions = {} } = await chrome.storage.session.get('maskingSessions');
+      if (!maskingSessions[fromKey] || maskingSessions[toKey]) return false;
+
+      maskingSessions[toKey] = { ...maskingSessions[fromKey], id: toKey };
+      delete maskingSessions[fromKey];
+      await chrome.storage.session.set({ maskingSessions });
+      return true;
+    });
+  }
+}
+
+// エクスポート（Chrome拡張で使用）
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = MaskingSession;
+}
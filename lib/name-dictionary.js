@@ -0,0 +1,385 @@
+/**
+ * PrivacyShield for AI - Name Dictionary
+ *
+ * 日本人の姓・名の辞書を使って氏名らしさを採点する検知器
+ * 漢字の連続を一律に氏名とみなすと「個人情報保護」のような語も検知してしまうため、
+ * 既知の姓・名、敬称・役職、周辺の語（氏名・担当など）から確からしさを計算する
+ * 辞書は拡張機能に同梱し、外部への問い合わせは行わない
+ */
+
+class NameDictionary {
+  constructor() {
+    // 姓（漢字:よみ）
+    this.surnames = NameDictionary.parseEntries(
+      '佐藤:さとう,鈴木:すずき,高橋:たかはし,田中:たなか,伊藤:いとう,渡辺:わたなべ,山本:やまもと,中村:なかむら,' +
+      '小林:こばやし,加藤:かとう,吉田:よしだ,山田:やまだ,佐々木:ささき,山口:やまぐち,松本:まつもと,井上:いのうえ,' +
+      '木村:きむら,林:はやし,斎藤:さいとう,清水:しみず,山崎:やまざき,森:もり,池田:いけだ,橋本:はしもと,' +
+      '阿部:あべ,石川:いしかわ,山下:やました,中島:なかじま,石井:いしい,小川:おがわ,前田:まえだ,岡田:おかだ,' +
+      '長谷川:はせがわ,藤田:ふじた,後藤:ごとう,近藤:こんどう,村上:むらかみ,遠藤:えんどう,青木:あおき,坂本:さかもと,' +
+      '斉藤:さいとう,福田:ふくだ,太田:おおた,西村:にしむら,藤井:ふじい,金子:かねこ,岡本:おかもと,藤原:ふじわら,' +
+      '中野:なかの,三浦:みうら,原田:はらだ,中川:なかがわ,松田:まつだ,竹内:たけうち,小野:おの,田村:たむら,' +
+      '中山:なかやま,和田:わだ,石田:いしだ,森田:もりた,上田:うえだ,原:はら,内田:うちだ,柴田:しばた,' +
+      '酒井:さかい,宮崎:みやざき,横山:よこやま,高木:たかぎ,安藤:あんどう,宮本:みやもと,大野:おおの,小島:こじま,' +
+      '谷口:たにぐち,今井:いまい,工藤:くどう,高田:たかだ,増田:ますだ,丸山:まるやま,杉山:すぎやま,村田:むらた,' +
+      '大塚:おおつか,新井:あらい,小山:こやま,平野:ひらの,藤本:ふじもと,河野:こうの,上野:うえの,野口:のぐち,' +
+      '武田:たけだ,松井:まつい,千葉:ちば,岩崎:いわさき,菅原:すがわら,木下:きのした,久保:くぼ,佐野:さの,' +
+      '野村:のむら,松尾:まつお,市川:いちかわ,菊地:きくち,杉本:すぎもと,古川:ふるかわ,大西:おおにし,島田:しまだ,' +
+      '水野:みずの,桜井:さくらい,高野:たかの,渡部:わたなべ,吉川:よしかわ,山内:やまうち,西田:にしだ,飯田:いいだ,' +
+      '菊池:きくち,西川:にしかわ,小松:こまつ,北村:きたむら,安田:やすだ,五十嵐:いがらし,川口:かわぐち,平田:ひらた,' +
+      '関:せき,中田:なかた,久保田:くぼた,服部:はっとり,東:ひがし,岩田:いわた,土屋:つちや,川崎:かわさき,' +
+      '福島:ふくしま,本田:ほんだ,辻:つじ,樋口:ひぐち,秋山:あきやま,田口:たぐち,永井:ながい,山中:やまなか,' +
+      '中西:なかにし,吉村:よしむら,川上:かわかみ,大橋:おおはし,石原:いしはら,松岡:まつおか,浅野:あさの,荒木:あらき,' +
+      '大久保:おおくぼ,野田:のだ,小池:こいけ,熊谷:くまがい,松下:まつした,菅野:かんの,早川:はやかわ,内藤:ないとう,' +
+      '榎本:えのもと,星野:ほしの,大島:おおしま,田辺:たなべ,望月:もちづき,片山:かたやま,本間:ほんま,堀:ほり'
+    );
+
+    // 名（漢字:よみ）
+    this.givenNames = NameDictionary.parseEntries(
+      '太郎:たろう,一郎:いちろう,次郎:じろう,三郎:さぶろう,健:けん,誠:まこと,翔:しょう,大輔:だいすけ,' +
+      '健太:けんた,翔太:しょうた,拓也:たくや,直樹:なおき,大樹:だいき,和也:かずや,達也:たつや,浩:ひろし,' +
+      '博:ひろし,隆:たかし,剛:つよし,修:おさむ,勇:いさむ,学:まなぶ,茂:しげる,清:きよし,' +
+      '明:あきら,亮:りょう,蓮:れん,悠真:ゆうま,陽翔:はると,大翔:ひろと,湊:みなと,樹:いつき,' +
+      '悠人:ゆうと,颯太:そうた,陸:りく,翼:つばさ,拓海:たくみ,健一:けんいち,雄一:ゆういち,誠一:せいいち,' +
+      '浩二:こうじ,健二:けんじ,正樹:まさき,秀樹:ひでき,智也:ともや,哲也:てつや,裕太:ゆうた,雄太:ゆうた,' +
+      '康介:こうすけ,亮太:りょうた,大介:だいすけ,俊介:しゅんすけ,聡:さとし,隆之:たかゆき,正人:まさと,和夫:かずお,' +
+      '幸男:ゆきお,花子:はなこ,洋子:ようこ,恵子:けいこ,幸子:さちこ,京子:きょうこ,裕子:ゆうこ,陽子:ようこ,' +
+      '久美子:くみこ,由美子:ゆみこ,真由美:まゆみ,智子:ともこ,美穂:みほ,直美:なおみ,明美:あけみ,恵:めぐみ,' +
+      '愛:あい,舞:まい,彩:あや,美咲:みさき,陽菜:ひな,結衣:ゆい,葵:あおい,凛:りん,' +
+      '美月:みづき,七海:ななみ,愛子:あいこ,由紀:ゆき,優子:ゆうこ,麻衣:まい,香織:かおり,沙織:さおり,' +
+      '美香:みか,千尋:ちひろ,真理子:まりこ,紀子:のりこ,明子:あきこ,順子:じゅんこ,直子:なおこ,和子:かずこ,' +
+      '雅子:まさこ,美紀:みき,理恵:りえ,友美:ともみ,春香:はるか,遥:はるか,莉子:りこ,楓:かえで,' +
+      '詩織:しおり,由香:ゆか,亜美:あみ,瞳:ひとみ,薫:かおる,雪:ゆき,さくら:さくら,ゆき:ゆき'
+    );
+
+    // 氏名の直後に付く敬称・役職（氏名らしさを高める）
+    this.suffixes = [
+      'ちゃん', 'さん', 'くん', '様', '氏', '殿', '君',
+      '先生', '部長', '課長', '係長', '社長', '主任', '専務', '常務', '会長',
+      '所長', '店長', '室長', '次長', '教授', '准教授', '弁護士'
+    ];
+
+    // 氏名の直前に現れやすい語（氏名らしさを高める）
+    this.contextKeywords = ['氏名', '名前', '担当', '宛', '署名', '申請者', '連絡先', '代表', '顧客', 'お客様', '患者', '社員'];
+
+    // 敬称が付いても氏名ではない語
+    this.stopWords = new Set([
+      '担当者', '皆', '客', '顧客', '関係者', '会員', '利用者', '読者', '各位', '社員', '職員',
+      '御社', '貴社', '弊社', '当社', '先方', '相手', '患者', '生徒', '学生', '神', '王', '奥'
+    ]);
+
+    // 検索用の索引
+    this.surnameByKanji = new Map(this.surnames.map((entry) => [entry.kanji, entry]));
+    this.givenByKanji = new Map(this.givenNames.map((entry) => [entry.kanji, entry]));
+    this.surnameKana = new Set(this.surnames.map((entry) => entry.kana));
+    this.givenKana = new Set(this.givenNames.map((entry) => entry.kana));
+    this.surnameRomaji = new Set(this.surnames.map((entry) => NameDictionary.normalizeRomaji(NameDictionary.toRomaji(entry.kana))));
+    this.givenRomaji = new Set(this.givenNames.map((entry) => NameDictionary.normalizeRomaji(NameDictionary.toRomaji(entry.kana))));
+    this.maxSurnameLength = Math.max(...this.surnames.map((entry) => entry.kanji.length));
+    this.maxGivenLength = Math.max(...this.givenNames.map((entry) => entry.kanji.length));
+
+    // 氏名と判定する確からしさの下限
+    this.threshold = 0.5;
+  }
+
+  /**
+   * 「漢字:よみ,...」形式の辞書データを展開
+   */
+  static parseEntries(data) {
+    return data.split(',').map((pair) => {
+      const [kanji, kana] = pair.split(':');
+      return { kanji, kana };
+    });
+  }
+
+  /**
+   * テキスト中の氏名を検知（MaskingEngineのパターンから呼び出す）
+   * @param {string} text - 対象テキスト
+   * @return {Array} { start, end, confidence, reason } の配列
+   */
+  detect(text) {
+    return [
+      ...this.detectKanjiNames(text),
+      ...this.detectKanaNames(text),
+      ...this.detectRomajiNames(text)
+    ];
+  }
+
+  /**
+   * 漢字の氏名を検知
+   */
+  detectKanjiNames(text) {
+    const results = [];
+    let position = 0;
+
+    while (position < text.length) {
+      const match = text.slice(position).match(/[一-龯々ヶ]/);
+      if (!match) break;
+
+      // 「様」「部長」なども漢字のため、敬称・役職の手前で区切る
+      const start = position + match.index;
+      const end = this.kanjiSegmentEnd(text, start);
+      this.detectInSegment(text, start, end, results);
+      position = end;
+    }
+
+    return results;
+  }
+
+  /**
+   * 漢字の区間内で氏名を検知
+   */
+  detectInSegment(text, segmentStart, segmentEnd, results) {
+    let i = segmentStart;
+    while (i < segmentEnd) {
+      const found = this.scoreKanjiAt(text, i, segmentEnd);
+      if (found && found.confidence >= this.threshold) {
+        results.push(found);
+        i = found.end;
+      } else {
+        i++;
+      }
+    }
+
+    // 辞書にない姓でも、敬称・役職が直後に付いていれば氏名とみなす（確からしさは低め）
+    const segment = text.slice(segmentStart, segmentEnd);
+    const suffix = this.suffixAt(text, segmentEnd);
+    const isDetected = results.some((r) => r.start < segmentEnd && segmentStart < r.end);
+    if (suffix && !isDetected && segment.length >= 2 && segment.length <= 4 && !this.stopWords.has(segment)) {
+      results.push({
+        start: segmentStart,
+        end: segmentEnd,
+        confidence: 0.55,
+        reason: `敬称「${suffix}」が続く漢字`
+      });
+    }
+  }
+
+  /**
+   * 漢字の並びの終了位置（敬称・役職の手前まで）
+   */
+  kanjiSegmentEnd(text, start) {
+    let end = start + 1;
+    while (end < text.length && /[一-龯々ヶ]/.test(text[end]) && !this.suffixAt(text, end)) {
+      end++;
+    }
+    return end;
+  }
+
+  /**
+   * 指定位置から始まる漢字の氏名を採点
+   * @param {string} text - 対象テキスト
+   * @param {number} start - 開始位置
+   * @param {number} segmentEnd - 漢字の区間の終了位置
+   * @return {Object|null} { start, end, confidence, reason }
+   */
+  scoreKanjiAt(text, start, segmentEnd) {
+    const surname = this.longestPrefix(text, start, segmentEnd, this.surnameByKanji, this.maxSurnameLength);
+    if (!surname) return null;
+
+    const surnameEnd = start + surname.length;
+    const hasContext = this.hasContextBefore(text, start);
+
+    // 名：姓に続く漢字（姓と名の間の空白1つまで許容）
+    let givenStart = surnameEnd;
+    let givenEnd = segmentEnd;
+    if (surnameEnd === segmentEnd && /^[ 　][一-龯々ヶ]/.test(text.slice(surnameEnd, surnameEnd + 2))) {
+      givenStart = surnameEnd + 1;
+      givenEnd = this.kanjiSegmentEnd(text, givenStart);
+    }
+    const givenLength = givenEnd - givenStart;
+    const known = this.longestPrefix(text, givenStart, givenEnd, this.givenByKanji, this.maxGivenLength);
+
+    if (known) {
+      const end = givenStart + known.length;
+      const bonus = (this.suffixAt(text, end) ? 0.1 : 0) + (hasContext ? 0.05 : 0);
+      return { start, end, confidence: Math.min(0.95, 0.8 + bonus), reason: `辞書の姓「${surname}」と名「${known}」` };
+    }
+
+    if (givenLength >= 1 && givenLength <= 3 && this.suffixAt(text, givenEnd)) {
+      return { start, end: givenEnd, confidence: 0.75, reason: `辞書の姓「${surname}」と敬称・役職` };
+    }
+
+    if (givenLength === 0 && this.suffixAt(text, surnameEnd)) {
+      return { start, end: surnameEnd, confidence: 0.7, reason: `辞書の姓「${surname}」と敬称・役職` };
+    }
+
+    if (hasContext && givenLength <= 2) {
+      return { start, end: givenEnd, confidence: 0.55, reason: `辞書の姓「${surname}」と周辺の語` };
+    }
+
+    return null;
+  }
+
+  /**
+   * ひらがな・カタカナの氏名を検知（さとう ゆき / サトウさん）
+   * 表記ごとに区切った並びの先頭が辞書の姓と一致するものを対象にする
+   */
+  detectKanaNames(text) {
+    const results = [];
+
+    for (const run of text.matchAll(/[ぁ-ゖー]+|[ァ-ヺー]+/g)) {
+      const surname = this.longestKanaPrefix(run[0], this.surnameKana);
+      if (!surname) continue;
+
+      const start = run.index;
+      const surnameEnd = start + surname.length;
+
+      // 姓 + 空白 + 名
+      const givenRun = surnameEnd === start + run[0].length
+        ? text.slice(surnameEnd).match(/^[ 　]([ぁ-ゖー]+|[ァ-ヺー]+)/)
+        : null;
+      const given = givenRun && this.longestKanaPrefix(givenRun[1], this.givenKana);
+      if (given) {
+        results.push({
+          start,
+          end: surnameEnd + 1 + given.length,
+          confidence: 0.8,
+          reason: `辞書の姓「${surname}」と名「${given}」（かな）`
+        });
+        continue;
+      }
+
+      // 姓 + 敬称
+      const suffix = this.suffixAt(text, surnameEnd);
+      if (suffix) {
+        results.push({
+          start,
+          end: surnameEnd,
+          confidence: 0.6,
+          reason: `辞書の姓「${surname}」と敬称（かな）`
+        });
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * かなの並びの先頭に一致する辞書のよみのうち最長のもの（2文字以上）
+   */
+  longestKanaPrefix(run, readings) {
+    const hiragana = NameDictionary.toHiragana(run);
+    for (let length = Math.min(6, hiragana.length); length >= 2; length--) {
+      if (readings.has(hiragana.slice(0, length))) return run.slice(0, length);
+    }
+    return null;
+  }
+
+  /**
+   * ローマ字の氏名を検知（Taro Yamada / YAMADA Taro）
+   */
+  detectRomajiNames(text) {
+    const results = [];
+    const word = '(?:[A-Z][a-z]+|[A-Z]{2,})';
+    const pattern = new RegExp(`\\b(${word})[ 　]+(${word})\\b`, 'g');
+
+    for (const match of text.matchAll(pattern)) {
+      const [, first, second] = match.map((part) => part && NameDictionary.normalizeRomaji(part.toLowerCase()));
+      const isSurnameFirst = this.surnameRomaji.has(first) && this.givenRomaji.has(second);
+      const isGivenFirst = this.givenRomaji.has(first) && this.surnameRomaji.has(second);
+
+      if (isSurnameFirst || isGivenFirst) {
+        results.push({
+          start: match.index,
+          end: match.index + match[0].length,
+          confidence: 0.8,
+          reason: '辞書の姓・名（ローマ字）'
+        });
+      } else if ((this.surnameRomaji.has(first) || this.surnameRomaji.has(second)) &&
+        /^[ 　]*-?san\b/i.test(text.slice(match.index + match[0].length))) {
+        results.push({
+          start: match.index,
+          end: match.index + match[0].length,
+          confidence: 0.6,
+          reason: '辞書の姓と敬称（ローマ字）'
+        });
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * 指定位置から始まる辞書の語のうち最長のものを取得
+   */
+  longestPrefix(text, start, limit, index, maxLength) {
+    for (let length = Math.min(maxLength, limit - start); length > 0; length--) {
+      const candidate = text.slice(start, start + length);
+      if (index.has(candidate)) return candidate;
+    }
+    return null;
+  }
+
+  /**
+   * 指定位置に敬称・役職があればそれを返す
+   */
+  suffixAt(text, position) {
+    return this.suffixes.find((suffix) => text.startsWith(suffix, position)) || null;
+  }
+
+  /**
+   * 直前（10文字以内）に氏名を示す語があるか
+   */
+  hasContextBefore(text, position) {
+    const before = text.slice(Math.max(0, position - 10), position);
+    return this.contextKeywords.some((keyword) => before.includes(keyword));
+  }
+
+  /**
+   * カタカナをひらがなに変換
+   */
+  static toHiragana(text) {
+    return text.replace(/[ァ-ヶ]/g, (char) => String.fromCharCode(char.charCodeAt(0) - 0x60));
+  }
+
+  /**
+   * ひらがなをローマ字（ヘボン式）に変換
+   */
+  static toRomaji(kana) {
+    const table = {
+      あ: 'a', い: 'i', う: 'u', え: 'e', お: 'o',
+      か: 'ka', き: 'ki', く: 'ku', け: 'ke', こ: 'ko',
+      さ: 'sa', し: 'shi', す: 'su', せ: 'se', そ: 'so',
+      た: 'ta', ち: 'chi', つ: 'tsu', て: 'te', と: 'to',
+      な: 'na', に: 'ni', ぬ: 'nu', ね: 'ne', の: 'no',
+      は: 'ha', ひ: 'hi', ふ: 'fu', へ: 'he', ほ: 'ho',
+      ま: 'ma', み: 'mi', む: 'mu', め: 'me', も: 'mo',
+      や: 'ya', ゆ: 'yu', よ: 'yo',
+      ら: 'ra', り: 'ri', る: 'ru', れ: 're', ろ: 'ro',
+      わ: 'wa', を: 'o', ん: 'n',
+      が: 'ga', ぎ: 'gi', ぐ: 'gu', げ: 'ge', ご: 'go',
+      ざ: 'za', じ: 'ji', ず: 'zu', ぜ: 'ze', ぞ: 'zo',
+      だ: 'da', ぢ: 'ji', づ: 'zu', で: 'de', ど: 'do',
+      ば: 'ba', び: 'bi', ぶ: 'bu', べ: 'be', ぼ: 'bo',
+      ぱ: 'pa', ぴ: 'pi', ぷ: 'pu', ぺ: 'pe', ぽ: 'po'
+    };
+    const youon = { ゃ: 'a', ゅ: 'u', ょ: 'o' };
+
+    let romaji = '';
+    for (let i = 0; i < kana.length; i++) {
+      const char = kana[i];
+      if (char === 'っ') {
+        // 促音は次の子音を重ねる
+        romaji += (table[kana[i + 1]] || '')[0] || '';
+      } else if (youon[char] && romaji) {
+        // 拗音（きゃ → kya, しゃ → sha）
+        romaji = romaji.replace(/i$/, '') + (/(sh|ch|j)$/.test(romaji.replace(/i$/, '')) ? '' : 'y') + youon[char];
+      } else {
+        romaji += table[char] || '';
+      }
+    }
+    return romaji;
+  }
+
+  /**
+   * 長音の表記ゆれを吸収（Satou / Satoh / Sato → sato）
+   */
+  static normalizeRomaji(romaji) {
+    return romaji.toLowerCase().replace(/oh(?![aiueo])/g, 'o').replace(/ou/g, 'o').replace(/oo/g, 'o').replace(/uu/g, 'u');
+  }
+}
+
+// エクスポート（Chrome拡張で使用）
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = NameDictionary;
+}
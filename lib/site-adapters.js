@@ -0,0 +1,261 @@
+/**
+ * PrivacyShield for AI - Site Adapters
+ *
+ * AIチャットサービスごとの差異（対象ホスト、入力欄、送信ボタン、返答エリア、
+ * エディタの種類）を吸収するアダプターの定義とレジストリ
+ * バックグラウンド・コンテンツスクリプト・ポップアップ・設定画面で共有する
+ */
+
+class SiteAdapterRegistry {
+  constructor() {
+    this.adapters = SiteAdapterRegistry.BUILTIN_ADAPTERS.map((adapter) => ({ ...adapter }));
+  }
+
+  /**
+   * 組み込みアダプター
+   * optional: true のものは設定画面で有効化したときのみ動作（権限を追加で要求）
+   */
+  static BUILTIN_ADAPTERS = [
+    {
+      id: 'claude',
+      name: 'Claude.ai',
+      hosts: ['claude.ai'],
+      inputSelectors: [
+        '[data-placeholder="Reply to Claude…"]',
+        '[contenteditable="true"]',
+        'div.ProseMirror',
+        'textarea'
+      ],
+      submitSelectors: ['button[aria-label="Send message"]', 'button[aria-label="Send Message"]'],
+      responseSelectors: ['.font-claude-message', '[data-is-streaming]'],
+      editor: 'richtext'
+    },
+    {
+      id: 'chatgpt',
+      name: 'ChatGPT',
+      hosts: ['chatgpt.com', 'chat.openai.com'],
+      inputSelectors: [
+        '#prompt-textarea',
+        'div.ProseMirror[contenteditable="true"]',
+        'textarea[name="prompt-textarea"]',
+        'textarea'
+      ],
+      submitSelectors: ['button[data-testid="send-button"]', '#composer-submit-button'],
+      responseSelectors: ['[data-message-author-role="assistant"]'],
+      editor: 'richtext'
+    },
+    {
+      id: 'gemini',
+      name: 'Gemini',
+      hosts: ['gemini.google.com'],
+      inputSelectors: ['rich-textarea .ql-editor[contenteditable="true"]', '[contenteditable="true"]'],
+      submitSelectors: ['button.send-button', 'button[aria-label="Send message"]'],
+      responseSelectors: ['message-content', '.model-response-text'],
+      editor: 'richtext',
+      optional: true
+    },
+    {
+      id: 'copilot',
+      name: 'Microsoft Copilot',
+      hosts: ['copilot.microsoft.com'],
+      inputSelectors: ['textarea#userInput', 'textarea'],
+      submitSelectors: ['button[aria-label="Submit message"]', 'button[type="submit"]'],
+      responseSelectors: ['[data-content="ai-message"]'],
+      editor: 'textarea',
+      optional: true
+    },
+    {
+      id: 'perplexity',
+      name: 'Perplexity',
+      hosts: ['www.perplexity.ai', 'perplexity.ai'],
+      inputSelectors: ['textarea', '#ask-input', '[contenteditable="true"]'],
+      submitSelectors: ['button[aria-label="Submit"]', 'button[data-testid="submit-button"]'],
+      responseSelectors: ['.prose'],
+      editor: 'richtext',
+      optional: true
+    }
+  ];
+
+  /**
+   * エディタの種類ごとのテキスト取得・設定処理（コンテンツスクリプトでのみ使用）
+   */
+  static EDITORS = {
+    // textarea / contenteditable をそのまま読み書き
+    plain: {
+      getText(element) {
+        if (element.tagName === 'TEXTAREA' || element.tagName === 'INPUT') {
+          return element.value;
+        }
+        return element.textContent || element.innerText || '';
+      },
+      setText(element, text) {
+        if (element.tagName === 'TEXTAREA' || element.tagName === 'INPUT') {
+          element.value = text;
+          element.dispatchEvent(new Event('input', { bubbles: true }));
+        } else {
+          element.textContent = text;
+          element.dispatchEvent(new InputEvent('input', { bubbles: true, data: text }));
+        }
+      }
+    },
+
+    // Reactで管理されたtextarea（ネイティブのsetterで値を設定して変更を通知）
+    textarea: {
+      getText(element) {
+        return element.value ?? element.innerText ?? '';
+      },
+      setText(element, text) {
+        const prototype = element.tagName === 'INPUT' ? HTMLInputElement.prototype : HTMLTextAreaElement.prototype;
+        const setter = Object.getOwnPropertyDescriptor(prototype, 'value')?.set;
+        if (setter && 'value' in element) {
+          setter.call(element, text);
+        } else {
+          element.textContent = text;
+        }
+        element.dispatchEvent(new Event('input', { bubbles: true }));
+      }
+    },
+
+    // ProseMirror / Quill などのリッチテキストエディタ
+    // DOMを直接書き換えると内部状態とずれるため、編集コマンド経由で置き換える
+    richtext: {
+      getText(element) {
+        if (element.tagName === 'TEXTAREA') return element.value;
+        // 段落ごとに<p>を使うため、改行を保つinnerTextで取得
+        return element.innerText || '';
+      },
+      setText(element, text) {
+        if (element.tagName === 'TEXTAREA' || element.tagName === 'INPUT') {
+          SiteAdapterRegistry.EDITORS.textarea.setText(element, text);
+          return;
+        }
+        element.focus();
+        document.execCommand('selectAll', false, null);
+        if (!document.execCommand('insertText', false, text)) {
+          SiteAdapterRegistry.EDITORS.plain.setText(element, text);
+        }
+      }
+    }
+  };
+
+  /**
+   * 設定（chrome.storage.sync）からレジストリを構築
+   * @param {Object} settings - { enabledSites, customSites }
+   * @return {SiteAdapterRegistry}
+   */
+  static fromSettings({ enabledSites = [], customSites = [] } = {}) {
+    const registry = new SiteAdapterRegistry();
+
+    for (const adapter of registry.adapters) {
+      if (adapter.optional) {
+        adapter.enabled = enabledSites.includes(adapter.id);
+      } else {
+        adapter.enabled = true;
+      }
+    }
+
+    for (const site of customSites) {
+      try {
+        registry.register(SiteAdapterRegistry.fromCustomSite(site));
+      } catch (error) {
+        console.error('Invalid custom site:', site, error);
+      }
+    }
+
+    return registry;
+  }
+
+  /**
+   * 設定画面で定義された社内ポータル等をアダプターに変換
+   * @param {Object} site - { id, name, hosts, inputSelector, submitSelector, responseSelector, editor }
+   * @return {Object} アダプター
+   */
+  static fromCustomSite(site) {
+    const hosts = SiteAdapterRegistry.parseList(site.hosts);
+    if (!site.id || hosts.length === 0) {
+      throw new Error('id と hosts は必須です');
+    }
+
+    return {
+      id: site.id,
+      name: site.name || hosts[0],
+      hosts,
+      inputSelectors: SiteAdapterRegistry.parseList(site.inputSelector).concat(['textarea', '[contenteditable="true"]']),
+      submitSelectors: SiteAdapterRegistry.parseList(site.submitSelector),
+      responseSelectors: SiteAdapterRegistry.parseList(site.responseSelector),
+      editor: SiteAdapterRegistry.EDITORS[site.editor] ? site.editor : 'plain',
+      custom: true,
+      enabled: site.enabled !== false
+    };
+  }
+
+  /**
+   * カンマ・改行区切りの文字列（または配列）をリストに変換
+   */
+  static parseList(value) {
+    const items = Array.isArray(value) ? value : String(value || '').split(/[,\n]/);
+    return items.map((item) => item.trim()).filter(Boolean);
+  }
+
+  /**
+   * アダプターを登録（同じIDは上書き）
+   * @param {Object} adapter - アダプター
+   */
+  register(adapter) {
+    this.adapters = this.adapters.filter((existing) => existing.id !== adapter.id);
+    this.adapters.push(adapter);
+  }
+
+  /**
+   * URLに対応する有効なアダプターを取得
+   * @param {string} url - ページのURL
+   * @return {Object|null} アダプター
+   */
+  findByUrl(url) {
+    let hostname;
+    try {
+      hostname = new URL(url).hostname;
+    } catch (error) {
+      return null;
+    }
+
+    return this.adapters.find((adapter) =>
+      adapter.enabled !== false &&
+      adapter.hosts.some((host) => hostname === host || hostname.endsWith(`.${host}`))
+    ) || null;
+  }
+
+  /**
+   * 有効なアダプターのURLマッチパターン
+   * @param {Object} filter - { onlyDynamic: trueの場合は manifest に含まれないものだけ }
+   * @return {Array<string>} 例: ['https://claude.ai/*']
+   */
+  getMatchPatterns({ onlyDynamic = false } = {}) {
+    return this.adapters
+      .filter((adapter) => adapter.enabled !== false)
+      .filter((adapter) => !onlyDynamic || adapter.optional || adapter.custom)
+      .flatMap((adapter) => SiteAdapterRegistry.toMatchPatterns(adapter));
+  }
+
+  /**
+   * アダプターのURLマッチパターン（社内ポータルはhttpも許可）
+   */
+  static toMatchPatterns(adapter) {
+    const scheme = adapter.custom ? '*' : 'https';
+    return adapter.hosts.map((host) => `${scheme}://${host}/*`);
+  }
+
+  /**
+   * エディタの処理を取得
+   * @param {Object} adapter - アダプター
+   * @return {Object} { getText, setText }
+   */
+  static getEditor(adapter) {
+    return SiteAdapterRegistry.EDITORS[adapter?.editor] || SiteAdapterRegistry.EDITORS.plain;
+  }
+}
+
+// エクスポート（Chrome拡張で使用）
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SiteAdapterRegistry;
+}
@@ -0,0 +1,360 @@
+/**
+ * PrivacyShield for AI - Structured Text
+ *
+ * JSON・CSV/TSV・Markdownの表を解析し、値の位置と項目名（キー・列の見出し）を取り出す
+ * マスキングは値の範囲の中だけで行うため、引用符・区切り文字・表の罫線は崩れない
+ */
+
+class StructuredText {
+  // 対応する形式（キー → 表示名）
+  static FORMATS = {
+    json: 'JSON',
+    csv: 'CSV',
+    tsv: 'TSV',
+    markdown: 'Markdownの表'
+  };
+
+  // 項目名から推定するパターン（前にあるものほど優先: email_address はメールアドレス、company_name は企業名）
+  // 英字は項目名を単語に分けて比較し、日本語は部分一致で比較する
+  static FIELD_KEYWORDS = [
+    ['email', ['email', 'mail', 'mailaddress', 'メール']],
+    ['phone', ['tel', 'phone', 'mobile', 'fax', 'telephone', 'phonenumber', '電話', '携帯', 'ファックス']],
+    ['postalCode', ['zip', 'zipcode', 'postal', 'postalcode', 'postcode', '郵便番号', '〒']],
+    ['myNumber', ['mynumber', 'マイナンバー', '個人番号']],
+    ['corporateNumber', ['corporatenumber', '法人番号']],
+    ['creditCard', ['creditcard', 'cardnumber', 'ccnumber', 'カード番号']],
+    ['bankAccount', ['bankaccount', 'accountnumber', '口座']],
+    ['driversLicense', ['driverslicense', 'licensenumber', '免許']],
+    ['passport', ['passport', '旅券']],
+    ['address', ['address', 'addr', 'street', '住所', '所在地']],
+    ['company', ['company', 'organization', 'organisation', 'employer', '会社', '企業', '勤務先', '所属']],
+    ['name', ['name', 'fullname', 'firstname', 'lastname', 'surname', 'givenname', 'kana', '氏名', '姓名', '名前', 'フリガナ', 'ふりがな', '担当者']]
+  ];
+
+  // 個人情報ではない値によく使われる単語（file_name・ip_address 等は推定しない）
+  static EXCLUDED_WORDS = ['file', 'host', 'ip', 'mac', 'url', 'domain', 'server', 'product', 'item', 'project', 'class'];
+
+  // CSV/TSVの見出しとみなすセルの最大文字数
+  static MAX_HEADER_LENGTH = 30;
+
+  // Markdownの表の見出しと本文の区切り行（| --- | :---: |）
+  static TABLE_SEPARATOR = /^\s*\|?\s*:?-{3,}:?\s*(\|\s*:?-{3,}:?\s*)*\|?\s*$/;
+
+  /**
+   * テキストの形式を判定
+   * @param {string} text - 対象テキスト
+   * @return {string|null} StructuredText.FORMATS のキー（通常の文章の場合はnull）
+   */
+  detectFormat(text) {
+    const trimmed = text.trim();
+    if (/^[{[]/.test(trimmed)) {
+      try {
+        JSON.parse(trimmed);
+        return 'json';
+      } catch (error) {
+        // JSONとして不完全な場合は他の形式として判定
+      }
+    }
+
+    if (this.findTables(text).length > 0) return 'markdown';
+
+    const firstLine = trimmed.split(/\r?\n/)[0];
+    const delimiter = firstLine.includes('\t') ? '\t' : ',';
+    const rows = this.parseDelimited(text, delimiter)
+      .filter((row) => row.length > 1 || row[0].end > row[0].start);
+    // 2行だけの場合は、1行目が見出しらしいときのみ表とみなす（読点代わりのカンマを含む文章を除く）
+    if (rows.length >= 2 && rows[0].length >= 2 && rows.every((row) => row.length === rows[0].length) &&
+      (rows.length >= 3 || this.isHeaderRow(text, rows[0]))) {
+      return delimiter === '\t' ? 'tsv' : 'csv';
+    }
+
+    return null;
+  }
+
+  /**
+   * 見出しの行らしいかどうか（すべてのセルが空でなく短い項目名で、文の句読点を含まない）
+   * @param {string} text - 対象テキスト
+   * @param {Array} row - parseDelimited() の行
+   * @return {boolean}
+   */
+  isHeaderRow(text, row) {
+    return row.every((cell) => {
+      const name = text.slice(cell.start, cell.end).trim();
+      return name.length > 0 && name.length <= StructuredText.MAX_HEADER_LENGTH && !/[。、！？!?]|[.:;]\s/.test(name);
+    });
+  }
+
+  /**
+   * テキストを解析して値の位置を取得
+   * @param {string} text - 対象テキスト
+   * @param {string} format - detectFormat()の結果
+   * @return {Object} { fields, free }
+   *   fields: 値の範囲 { start, end, key, kind }（keyは項目名、見出しの行などではnull / kindは 'string' | 'number'）
+   *   free: 表の外の文章など、通常どおり検知する範囲 { start, end }
+   */
+  parse(text, format) {
+    switch (format) {
+      case 'json':
+        return { fields: this.parseJson(text), free: [] };
+      case 'csv':
+      case 'tsv':
+        return { fields: this.parseTable(text, format === 'tsv' ? '\t' : ','), free: [] };
+      case 'markdown':
+        return this.parseMarkdown(text);
+      default:
+        return { fields: [], free: [{ start: 0, end: text.length }] };
+    }
+  }
+
+  /**
+   * JSONの文字列・数値の値を取得（配列の要素は親のキーを引き継ぐ）
+   * 文字列は引用符の内側を範囲とする
+   */
+  parseJson(text) {
+    const fields = [];
+    let pos = 0;
+
+    const skipWhitespace = () => {
+      while (pos < text.length && /\s/.test(text[pos])) pos++;
+    };
+    const readString = () => {
+      const start = pos++;
+      while (pos < text.length && text[pos] !== '"') {
+        pos += text[pos] === '\\' ? 2 : 1;
+      }
+      pos++;
+      return { start, end: pos };
+    };
+    const readValue = (key) => {
+      skipWhitespace();
+      const char = text[pos];
+
+      if (char === '{' || char === '[') {
+        const close = char === '{' ? '}' : ']';
+        pos++;
+        skipWhitespace();
+        while (pos < text.length && text[pos] !== close) {
+          let childKey = key;
+          if (char === '{') {
+            const name = readString();
+            childKey = JSON.parse(text.slice(name.start, name.end));
+            skipWhitespace();
+            pos++; // :
+          }
+          readValue(childKey);
+          skipWhitespace();
+          if (text[pos] === ',') {
+            pos++;
+            skipWhitespace();
+          }
+        }
+        pos++;
+      } else if (char === '"') {
+        const string = readString();
+        fields.push({ start: string.start + 1, end: string.end - 1, key, kind: 'string' });
+      } else {
+        const start = pos;
+        while (pos < text.length && !/[\s,\]}]/.test(text[pos])) pos++;
+        if (/^-?\d/.test(text.slice(start, pos))) {
+          fields.push({ start, end: pos, key, kind: 'number' });
+        }
+      }
+    };
+
+    readValue(null);
+    return fields;
+  }
+
+  /**
+   * CSV/TSVのセルを取得（1行目を見出しとし、各セルの項目名にする）
+   */
+  parseTable(text, delimiter) {
+    const rows = this.parseDelimited(text, delimiter);
+    const headers = rows[0].map((cell) => text.slice(cell.start, cell.end).trim());
+
+    return rows.flatMap((row, rowIndex) => row.map((cell, column) => ({
+      ...this.trimRange(text, cell),
+      key: rowIndex === 0 ? null : headers[column] ?? null,
+      kind: 'string'
+    })));
+  }
+
+  /**
+   * 区切り文字で行・セルに分割（RFC 4180の引用符に対応）
+   * 引用符で囲まれたセルは引用符の内側を範囲とする
+   * @return {Array<Array>} 行ごとの { start, end } の配列
+   */
+  parseDelimited(text, delimiter) {
+    const rows = [];
+    let row = [];
+    let pos = 0;
+    const isBoundary = (char) => char === delimiter || char === '\n' || char === '\r';
+
+    while (pos <= text.length) {
+      let start = pos;
+      let end;
+      if (text[pos] === '"') {
+        start = ++pos;
+        while (pos < text.length && !(text[pos] === '"' && text[pos + 1] !== '"')) {
+          pos += text[pos] === '"' ? 2 : 1;
+        }
+        end = pos++;
+        while (pos < text.length && !isBoundary(text[pos])) pos++;
+      } else {
+        while (pos < text.length && !isBoundary(text[pos])) pos++;
+        end = pos;
+      }
+      row.push({ start, end });
+
+      if (text[pos] === delimiter) {
+        pos++;
+        continue;
+      }
+      rows.push(row);
+      row = [];
+      if (text[pos] === '\r') pos++;
+      if (text[pos] === '\n') pos++;
+      if (pos >= text.length) break;
+    }
+
+    return rows;
+  }
+
+  /**
+   * Markdownの表のセルと、表の外の範囲を取得
+   */
+  parseMarkdown(text) {
+    const lines = this.splitLines(text);
+    const fields = [];
+    const free = [];
+
+    let lineIndex = 0;
+    for (const table of this.findTables(text)) {
+      // 表の前の文章
+      if (table.from > lineIndex) {
+        free.push({ start: lines[lineIndex].start, end: lines[table.from - 1].end });
+      }
+
+      const headers = this.splitCells(text, lines[table.from]);
+      const headerNames = headers.map((cell) => text.slice(cell.start, cell.end).replace(/[*_`]/g, '').trim());
+      fields.push(...headers.map((cell) => ({ ...cell, key: null, kind: 'string' })));
+
+      for (let i = table.from + 2; i < table.to; i++) {
+        this.splitCells(text, lines[i]).forEach((cell, column) => {
+          fields.push({ ...cell, key: headerNames[column] ?? null, kind: 'string' });
+        });
+      }
+      lineIndex = table.to;
+    }
+    if (lineIndex < lines.length) {
+      free.push({ start: lines[lineIndex].start, end: text.length });
+    }
+
+    return { fields, free };
+  }
+
+  /**
+   * Markdownの表の位置を取得
+   * @return {Array} { from, to } の配列（見出しの行から本文の最後の行の次までの行番号）
+   */
+  findTables(text) {
+    const lines = this.splitLines(text);
+    const tables = [];
+
+    for (let i = 0; i + 1 < lines.length; i++) {
+      const header = text.slice(lines[i].start, lines[i].end);
+      const separator = text.slice(lines[i + 1].start, lines[i + 1].end);
+      if (!header.includes('|') || !StructuredText.TABLE_SEPARATOR.test(separator)) continue;
+
+      let to = i + 2;
+      while (to < lines.length && /\|/.test(text.slice(lines[to].start, lines[to].end)) &&
+        text.slice(lines[to].start, lines[to].end).trim()) {
+        to++;
+      }
+      tables.push({ from: i, to });
+      i = to - 1;
+    }
+
+    return tables;
+  }
+
+  /**
+   * 行の位置を取得（改行文字は含めない）
+   * @return {Array} { start, end } の配列
+   */
+  splitLines(text) {
+    const lines = [];
+    let start = 0;
+    for (const match of text.matchAll(/\r?\n/g)) {
+      lines.push({ start, end: match.index });
+      start = match.index + match[0].length;
+    }
+    lines.push({ start, end: text.length });
+    return lines;
+  }
+
+  /**
+   * Markdownの表の行をセルに分割（前後の | と、\| でエスケープされた | は区切りとしない）
+   * @return {Array} 前後の空白を除いたセルの { start, end } の配列
+   */
+  splitCells(text, line) {
+    const cells = [];
+    let start = line.start;
+    let end = line.end;
+
+    while (start < end && /\s/.test(text[start])) start++;
+    while (end > start && /\s/.test(text[end - 1])) end--;
+    if (text[start] === '|') start++;
+    if (end > start && text[end - 1] === '|' && text[end - 2] !== '\\') end--;
+
+    let cellStart = start;
+    for (let pos = start; pos <= end; pos++) {
+      if (pos === end || (text[pos] === '|' && text[pos - 1] !== '\\')) {
+        cells.push(this.trimRange(text, { start: cellStart, end: pos }));
+        cellStart = pos + 1;
+      }
+    }
+    return cells;
+  }
+
+  /**
+   * 範囲の前後の空白を除く
+   */
+  trimRange(text, { start, end }) {
+    while (start < end && /\s/.test(text[start])) start++;
+    while (end > start && /\s/.test(text[end - 1])) end--;
+    return { start, end };
+  }
+
+  /**
+   * 項目名からマスキングするパターンを推定
+   * @param {string} key - JSONのキー・表の見出し
+   * @param {Array<string>} customFields - 設定で指定した、常にマスキングする項目名
+   * @return {string|null} パターンのキー（指定した項目で種類を推定できない場合は 'field'、対象外の場合はnull）
+   */
+  classifyField(key, customFields = []) {
+    if (!key) return null;
+
+    const compact = (value) => value.toLowerCase().replace(/[\s_\-.]/g, '');
+    const isCustom = customFields.some((field) => compact(field) === compact(key));
+
+    // customerEmail / first_name / Mail Address → ['customer', 'email'] / ['first', 'name'] / ['mail', 'address']
+    const words = key.replace(/([a-z])([A-Z])/g, '$1 $2').toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+    if (!isCustom && words.some((word) => StructuredText.EXCLUDED_WORDS.includes(word))) return null;
+
+    const joined = compact(key);
+    for (const [patternKey, keywords] of StructuredText.FIELD_KEYWORDS) {
+      const matched = keywords.some((keyword) => (/^[a-z]+$/.test(keyword)
+        ? words.includes(keyword) || joined === keyword
+        : key.includes(keyword)));
+      if (matched) return patternKey;
+    }
+
+    return isCustom ? 'field' : null;
+  }
+}
+
+// エクスポート（Chrome拡張で使用）
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = StructuredText;
+}
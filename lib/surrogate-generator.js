@@ -0,0 +1,229 @@
+/**
+ * PrivacyShield for AI - Surrogate Generator
+ *
+ * ラベル（[Person_A]等）の代わりに使う、同じ種類のもっともらしい架空の値（代替値）を生成する
+ * 同じエンティティからは常に同じ値を生成するため、会話をまたいでも一貫した値になる
+ * メールアドレスは example.com 等の予約済みドメイン、電話番号は 090-0000-xxxx を使う
+ */
+
+class SurrogateGenerator {
+  // 架空の氏名に使う姓（漢字・よみ・ローマ字）
+  static SURNAMES = [
+    ['青山', 'あおやま', 'Aoyama'], ['川村', 'かわむら', 'Kawamura'], ['桜田', 'さくらだ', 'Sakurada'],
+    ['白石', 'しらいし', 'Shiraishi'], ['森川', 'もりかわ', 'Morikawa'], ['水谷', 'みずたに', 'Mizutani'],
+    ['早瀬', 'はやせ', 'Hayase'], ['秋元', 'あきもと', 'Akimoto'], ['若林', 'わかばやし', 'Wakabayashi'],
+    ['緑川', 'みどりかわ', 'Midorikawa'], ['朝倉', 'あさくら', 'Asakura'], ['野々村', 'ののむら', 'Nonomura'],
+    ['星川', 'ほしかわ', 'Hoshikawa'], ['浜田', 'はまだ', 'Hamada'], ['立花', 'たちばな', 'Tachibana'],
+    ['日向', 'ひなた', 'Hinata']
+  ];
+
+  // 架空の氏名に使う名（漢字・よみ・ローマ字）
+  static GIVEN_NAMES = [
+    ['陽介', 'ようすけ', 'Yosuke'], ['健吾', 'けんご', 'Kengo'], ['直人', 'なおと', 'Naoto'],
+    ['悠斗', 'ゆうと', 'Yuto'], ['拓真', 'たくま', 'Takuma'], ['浩平', 'こうへい', 'Kohei'],
+    ['美緒', 'みお', 'Mio'], ['沙希', 'さき', 'Saki'], ['奈々', 'なな', 'Nana'],
+    ['千夏', 'ちなつ', 'Chinatsu'], ['結花', 'ゆか', 'Yuka'], ['紗英', 'さえ', 'Sae'],
+    ['涼', 'りょう', 'Ryo'], ['葉月', 'はづき', 'Hazuki'], ['航', 'わたる', 'Wataru'],
+    ['菜摘', 'なつみ', 'Natsumi']
+  ];
+
+  // 例示用に予約されたドメイン（RFC 2606 / JPRS）
+  static EMAIL_DOMAINS = ['example.com', 'example.jp', 'example.net', 'example.org'];
+
+  // 架空の住所
+  static PREFECTURES = ['東京都', '大阪府', '神奈川県', '愛知県', '福岡県', '北海道'];
+  static CITIES = ['みなと市', 'あさひ市', 'さくら市', 'ひかり市', 'みずほ市'];
+  static TOWNS = ['緑町', '若葉台', '青葉町', '光が丘', '桜木町', '本町'];
+
+  // 架空の企業名（法人格は元の表記に合わせる）
+  static COMPANY_NAMES = ['あおば商事', 'ひかり工業', 'みらい物産', 'さくらシステム', 'つばさ技研', 'かもめ産業'];
+  static LEGAL_FORMS = ['株式会社', '有限会社', '合同会社', '一般社団法人', '公益財団法人'];
+
+  // 書式を保ったまま数字・英字を置き換えるパターン
+  static FORMAT_PRESERVING = ['postalCode', 'myNumber', 'corporateNumber', 'creditCard', 'bankAccount', 'driversLicense', 'passport'];
+
+  /**
+   * 代替値を生成できるパターンかどうか
+   * @param {string} patternKey - パターンのキー
+   */
+  supports(patternKey) {
+    return ['name', 'email', 'phone', 'address', 'company'].includes(patternKey) ||
+      SurrogateGenerator.FORMAT_PRESERVING.includes(patternKey);
+  }
+
+  /**
+   * 代替値を生成
+   * @param {string} patternKey - パターンのキー
+   * @param {string} entityKey - 正規化済みのエンティティ（同じ値からは同じ代替値を生成する）
+   * @param {string} original - 検知された文字列（表記・書式を合わせるために使用）
+   * @param {number} attempt - 衝突した場合の再生成の回数
+   * @return {string|null} 代替値（生成できないパターンの場合はnull）
+   */
+  generate(patternKey, entityKey, original, attempt = 0) {
+    if (!this.supports(patternKey)) return null;
+
+    const random = SurrogateGenerator.createRandom(`${patternKey}:${entityKey}:${attempt}`);
+
+    switch (patternKey) {
+      case 'name':
+        return this.generateName(original, random);
+      case 'email':
+        return this.generateEmail(random);
+      case 'phone':
+        return this.generatePhone(original, random);
+      case 'address':
+        return this.generateAddress(random);
+      case 'company':
+        return this.generateCompany(original, random);
+      default:
+        return this.preserveFormat(original, random);
+    }
+  }
+
+  /**
+   * 氏名（元の表記が漢字・ひらがな・カタカナ・ローマ字のどれかに合わせる）
+   */
+  generateName(original, random) {
+    const [surname, surnameKana, surnameRomaji] = SurrogateGenerator.pick(SurrogateGenerator.SURNAMES, random);
+    const [given, givenKana, givenRomaji] = SurrogateGenerator.pick(SurrogateGenerator.GIVEN_NAMES, random);
+    const separator = original.match(/[\s　]+/)?.[0] || '';
+
+    if (/^[A-Za-z\s.'-]+$/.test(original)) {
+      const name = `${givenRomaji} ${surnameRomaji}`;
+      return original === original.toUpperCase() ? name.toUpperCase() : name;
+    }
+    if (/^[゠-ヿ\s　]+$/.test(original)) {
+      return `${SurrogateGenerator.toKatakana(surnameKana)}${separator}${SurrogateGenerator.toKatakana(givenKana)}`;
+    }
+    if (/^[぀-ゟ\s　]+$/.test(original)) {
+      return `${surnameKana}${separator}${givenKana}`;
+    }
+    return `${surname}${separator}${given}`;
+  }
+
+  /**
+   * メールアドレス（例示用のドメインのみ使用）
+   */
+  generateEmail(random) {
+    const [, , surnameRomaji] = SurrogateGenerator.pick(SurrogateGenerator.SURNAMES, random);
+    const [, , givenRomaji] = SurrogateGenerator.pick(SurrogateGenerator.GIVEN_NAMES, random);
+    const domain = SurrogateGenerator.pick(SurrogateGenerator.EMAIL_DOMAINS, random);
+    return `${givenRomaji}.${surnameRomaji}${Math.floor(random() * 100)}@${domain}`.toLowerCase();
+  }
+
+  /**
+   * 電話番号（090-0000-xxxx、区切り文字は元の表記に合わせる）
+   */
+  generatePhone(original, random) {
+    const separator = original.match(/[-\s]/)?.[0] || '';
+    const last = String(Math.floor(random() * 10000)).padStart(4, '0');
+    return ['090', '0000', last].join(separator);
+  }
+
+  /**
+   * 住所
+   */
+  generateAddress(random) {
+    const prefecture = SurrogateGenerator.pick(SurrogateGenerator.PREFECTURES, random);
+    const city = SurrogateGenerator.pick(SurrogateGenerator.CITIES, random);
+    const town = SurrogateGenerator.pick(SurrogateGenerator.TOWNS, random);
+    const numbers = [9, 30, 20].map((max) => Math.floor(random() * max) + 1);
+    return `${prefecture}${city}${town}${numbers.join('-')}`;
+  }
+
+  /**
+   * 企業名（法人格とその位置は元の表記に合わせる）
+   */
+  generateCompany(original, random) {
+    const name = SurrogateGenerator.pick(SurrogateGenerator.COMPANY_NAMES, random);
+    const legalForm = SurrogateGenerator.LEGAL_FORMS.find((form) => original.includes(form)) || '株式会社';
+    return original.startsWith(legalForm) ? `${legalForm}${name}` : `${name}${legalForm}`;
+  }
+
+  /**
+   * 書式を保った値（マスキング方式「書式を保持」）
+   * パターンに関係なく、区切り文字と桁数を保ったまま数字・英字を置き換える
+   * @param {string} entityKey - 正規化済みのエンティティ
+   * @param {string} original - 検知された文字列
+   * @param {number} attempt - 衝突した場合の再生成の回数
+   * @return {string}
+   */
+  generateFormatted(entityKey, original, attempt = 0) {
+    return this.preserveFormat(original, SurrogateGenerator.createRandom(`format:${entityKey}:${attempt}`));
+  }
+
+  /**
+   * 区切り文字・桁数・英字の大文字/小文字を保ったまま数字と英字を置き換える
+   * 漢字・かななどは元の文字が分からないよう〇に置き換える
+   */
+  preserveFormat(original, random) {
+    const letters = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+    return original.replace(/[\p{L}\p{N}]/gu, (char) => {
+      const folded = char.normalize('NFKC');
+      if (/^\d$/.test(folded)) {
+        return String(Math.floor(random() * 10));
+      }
+      if (!/^[A-Za-z]$/.test(folded)) {
+        return '〇';
+      }
+      const letter = letters[Math.floor(random() * letters.length)];
+      return folded === folded.toUpperCase() ? letter : letter.toLowerCase();
+    });
+  }
+
+  /**
+   * エンティティのハッシュ（マスキング方式「ハッシュ」のラベルに使う16進数8桁）
+   * 同じ値には会話をまたいで同じラベルが付く。番号の総当たりで元の値を推測されないよう、
+   * 利用者ごとのランダムな値（salt）を混ぜる
+   * @param {string} entityKey - パターンのキーを含む正規化済みのエンティティ
+   * @param {string} salt - 設定の hashSalt
+   * @return {string}
+   */
+  hashEntity(entityKey, salt = '') {
+    const random = SurrogateGenerator.createRandom(`${salt}:${entityKey}`);
+    return Array.from({ length: 2 }, () => Math.floor(random() * 0x10000).toString(16).padStart(4, '0')).join('');
+  }
+
+  /**
+   * 文字列のハッシュ（FNV-1a）
+   * @param {string} text
+   * @return {number} 32bitの符号なし整数
+   */
+  static hash(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+
+  /**
+   * 文字列から決まる疑似乱数（FNV-1aのハッシュを種にしたmulberry32）
+   * @param {string} seedText - 種にする文字列
+   * @return {Function} 0以上1未満の数を返す関数
+   */
+  static createRandom(seedText) {
+    let seed = SurrogateGenerator.hash(seedText);
+
+    return () => {
+      seed = (seed + 0x6d2b79f5) | 0;
+      let t = Math.imul(seed ^ (seed >>> 15), seed | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  static pick(items, random) {
+    return items[Math.floor(random() * items.length)];
+  }
+
+  static toKatakana(hiragana) {
+    return hiragana.replace(/[ぁ-ゖ]/g, (char) => String.fromCharCode(char.charCodeAt(0) + 0x60));
+  }
+}
+
+// エクスポート（Chrome拡張で使用）
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SurrogateGenerator;
+}
@@ -0,0 +1,212 @@
+/**
+ * PrivacyShield for AI - Usage Stats
+ *
+ * マスキングの利用状況を日別に集計して chrome.storage.local の stats に保存する
+ * 個人情報は保存せず、件数・検知の種類（パターンのキー）・サイトのホスト名のみを記録する
+ *
+ * 保存形式:
+ *   stats['YYYY-MM-DD'] = {
+ *     maskingCount, protectedItems, blockedSends, byType: { name: 2, ... },
+ *     bySite: { 'claude.ai': { maskingCount, protectedItems, blockedSends, byType } }
+ *   }
+ */
+
+class UsageStats {
+  // 統計を保持する日数
+  static RETENTION_DAYS = 400;
+
+  // サイトが分からない場合（サイドパネルのみで使用した場合など）の表示名
+  static UNKNOWN_SITE = '(不明)';
+
+  // 書き込みを直列化するためのキュー（同時に記録すると件数が失われるため）
+  static queue = Promise.resolve();
+
+  /**
+   * 日付のキー（ローカル時刻の YYYY-MM-DD）
+   * @param {Date} date
+   * @return {string}
+   */
+  static dateKey(date = new Date()) {
+    const year = date.getFullYear();
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${year}-${month}-${day}`;
+  }
+
+  /**
+   * URLから記録用のサイト名（ホスト名）を取得
+   * パスやクエリには会話IDなどが含まれるため記録しない
+   */
+  static siteFromUrl(url) {
+    try {
+      return new URL(url).hostname || UsageStats.UNKNOWN_SITE;
+    } catch (error) {
+      return UsageStats.UNKNOWN_SITE;
+    }
+  }
+
+  /**
+   * マスキングを記録
+   * @param {Object} event - { url, types: { パターンのキー: 件数 } }
+   * @return {Promise<void>}
+   */
+  static recordMasking({ url, types = {} }) {
+    const itemCount = Object.values(types).reduce((sum, count) => sum + count, 0);
+    return UsageStats.update(url, (entry) => {
+      entry.maskingCount++;
+      entry.protectedItems += itemCount;
+      for (const [type, count] of Object.entries(types)) {
+        entry.byType[type] = (entry.byType[type] || 0) + count;
+      }
+    });
+  }
+
+  /**
+   * 検知結果を種類ごとの件数に変換（元の値は含めない）
+   * @param {Array} detections - MaskingEngine.mask()の検知結果
+   * @return {Object} { パターンのキー: 件数 }
+   */
+  static countTypes(detections) {
+    const types = {};
+    for (const detection of detections) {
+      types[detection.type] = (types[detection.type] || 0) + 1;
+    }
+    return types;
+  }
+
+  /**
+   * 送信前チェックで送信を取りやめたことを記録
+   * @param {Object} event - { url }
+   * @return {Promise<void>}
+   */
+  static recordBlockedSend({ url }) {
+    return UsageStats.update(url, (entry) => {
+      entry.blockedSends++;
+    });
+  }
+
+  /**
+   * 今日の集計とサイト別の集計を更新して保存
+   * @param {string} url - 操作したページのURL
+   * @param {Function} apply - 集計に加算する関数
+   */
+  static update(url, apply) {
+    const task = UsageStats.queue.then(async () => {
+      const { stats = {} } = await chrome.storage.local.get('stats');
+      const today = UsageStats.dateKey();
+      const site = UsageStats.siteFromUrl(url);
+
+      const day = UsageStats.normalizeEntry(stats[today]);
+      day.bySite = day.bySite || {};
+      day.bySite[site] = UsageStats.normalizeEntry(day.bySite[site]);
+      apply(day);
+      apply(day.bySite[site]);
+      stats[today] = day;
+
+      await chrome.storage.local.set({ stats: UsageStats.prune(stats) });
+    });
+
+    // 失敗しても以降の記録は続ける
+    UsageStats.queue = task.catch((error) => {
+      console.error('統計の記録に失敗:', error);
+    });
+    return UsageStats.queue;
+  }
+
+  /**
+   * 集計の項目を補完（以前の形式・未記録の日も同じ形で扱う）
+   */
+  static normalizeEntry(entry = {}) {
+    return {
+      ...entry,
+      maskingCount: entry.maskingCount || 0,
+      protectedItems: entry.protectedItems || 0,
+      blockedSends: entry.blockedSends || 0,
+      byType: { ...entry.byType }
+    };
+  }
+
+  /**
+   * 保持期間を過ぎた日の統計を削除
+   */
+  static prune(stats, now = new Date()) {
+    const oldest = new Date(now);
+    oldest.setDate(oldest.getDate() - UsageStats.RETENTION_DAYS);
+    const oldestKey = UsageStats.dateKey(oldest);
+
+    return Object.fromEntries(Object.entries(stats).filter(([date]) => date >= oldestKey));
+  }
+
+  /**
+   * 期間内の統計を合算
+   * @param {Object} stats - 保存されている統計
+   * @param {Array<string>} dates - 合算する日付のキー
+   * @return {Object} { maskingCount, protectedItems, blockedSends, byType, bySite }
+   */
+  static summarize(stats, dates) {
+    const total = { ...UsageStats.normalizeEntry(), bySite: {} };
+
+    const add = (target, entry) => {
+      target.maskingCount += entry.maskingCount;
+      target.protectedItems += entry.protectedItems;
+      target.blockedSends += entry.blockedSends;
+      for (const [type, count] of Object.entries(entry.byType)) {
+        target.byType[type] = (target.byType[type] || 0) + count;
+      }
+    };
+
+    for (const date of dates) {
+      if (!stats[date]) continue;
+      const day = UsageStats.normalizeEntry(stats[date]);
+      add(total, day);
+      for (const [site, entry] of Object.entries(day.bySite || {})) {
+        total.bySite[site] = total.bySite[site] || UsageStats.normalizeEntry();
+        add(total.bySite[site], UsageStats.normalizeEntry(entry));
+      }
+    }
+    return total;
+  }
+
+  /**
+   * 統計をCSVに変換（1行 = 1日 × 1サイト）
+   * @param {Object} stats - 保存されている統計
+   * @param {Array<string>} dates - 出力する日付のキー
+   * @return {string}
+   */
+  static toCsv(stats, dates) {
+    const types = new Set();
+    for (const date of dates) {
+      for (const entry of Object.values(stats[date]?.bySite || {})) {
+        Object.keys(entry.byType || {}).forEach((type) => types.add(type));
+      }
+    }
+    const typeColumns = [...types].sort();
+
+    const rows = [['date', 'site', 'maskingCount', 'protectedItems', 'blockedSends', ...typeColumns]];
+    for (const date of dates) {
+      for (const [site, rawEntry] of Object.entries(stats[date]?.bySite || {})) {
+        const entry = UsageStats.normalizeEntry(rawEntry);
+        rows.push([
+          date,
+          site,
+          entry.maskingCount,
+          entry.protectedItems,
+          entry.blockedSends,
+          ...typeColumns.map((type) => entry.byType[type] || 0)
+        ]);
+      }
+    }
+
+    return rows.map((row) => row.map(UsageStats.toCsvField).join(',')).join('\r\n') + '\r\n';
+  }
+
+  static toCsvField(value) {
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+}
+
+// エクスポート（Chrome拡張で使用）
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = UsageStats;
+}
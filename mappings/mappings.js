@@ -0,0 +1,662 @@
+/**
+ * PrivacyShield for AI - 対応表の管理画面
+ */
+
+// DOM要素
+const lockSection = document.getElementById('lockSection');
+const unlockForm = document.getElementById('unlockForm');
+const unlockTitle = document.getElementById('unlockTitle');
+const unlockDescription = document.getElementById('unlockDescription');
+const unlockPassphrase = document.getElementById('unlockPassphrase');
+const unlockPassphraseConfirm = document.getElementById('unlockPassphraseConfirm');
+const unlockError = document.getElementById('unlockError');
+const unlockBtn = document.getElementById('unlockBtn');
+const managerSection = document.getElementById('managerSection');
+const searchInput = document.getElementById('searchInput');
+const mergeBtn = document.getElementById('mergeBtn');
+const exportBtn = document.getElementById('exportBtn');
+const importBtn = document.getElementById('importBtn');
+const importInput = document.getElementById('importInput');
+const lockBtn = document.getElementById('lockBtn');
+const selectionInfo = document.getElementById('selectionInfo');
+const mappingList = document.getElementById('mappingList');
+const emptyState = document.getElementById('emptyState');
+const statusText = document.getElementById('statusText');
+const closePageBtn = document.getElementById('closePageBtn');
+
+// パスフレーズ入力モーダル要素
+const passphraseModal = document.getElementById('passphraseModal');
+const passphraseForm = document.getElementById('passphraseForm');
+const passphraseModalTitle = document.getElementById('passphraseModalTitle');
+const passphraseDescription = document.getElementById('passphraseDescription');
+const filePassphrase = document.getElementById('filePassphrase');
+const filePassphraseConfirm = document.getElementById('filePassphraseConfirm');
+const passphraseError = document.getElementById('passphraseError');
+const closePassphraseModalBtn = document.getElementById('closePassphraseModalBtn');
+const cancelPassphraseBtn = document.getElementById('cancelPassphraseBtn');
+
+// 復号済みの対応表
+let mappings = [];
+
+// チェックされた対応表のID（チェックした順）
+let selectedIds = [];
+
+// 編集中の対応表のID（nullは編集していない）
+let editingId = null;
+
+// 保存期間の設定
+let retentionPolicy = MappingVault.RETENTION_DEFAULTS;
+
+// パスフレーズ入力モーダルの結果を受け取る関数
+let resolvePassphraseModal = null;
+
+/**
+ * ロック状態に応じて画面を切り替え、対応表を読み込む
+ */
+async function loadMappings() {
+  try {
+    if (!(await MappingVault.isUnlocked())) {
+      await showLockSection();
+      return;
+    }
+
+    retentionPolicy = await MappingVault.getRetentionPolicy();
+    mappings = await MappingVault.list();
+    selectedIds = selectedIds.filter((id) => mappings.some((mapping) => mapping.id === id));
+
+    lockSection.classList.add('hidden');
+    managerSection.classList.remove('hidden');
+    renderMappings();
+  } catch (error) {
+    console.error('対応表の読み込みに失敗:', error);
+    showStatus('対応表の読み込みに失敗しました', true);
+  }
+}
+
+/**
+ * ロック解除フォームを表示（未設定の場合はパスフレーズの設定）
+ */
+async function showLockSection() {
+  const isSetup = !(await MappingVault.isInitialized());
+
+  mappings = [];
+  editingId = null;
+  unlockForm.dataset.mode = isSetup ? 'setup' : 'unlock';
+  unlockTitle.textContent = isSetup ? 'パスフレーズの設定' : '対応表のロックを解除';
+  unlockDescription.textContent = isSetup
+    ? '対応表はこのパスフレーズで暗号化して保存されます。忘れると復号できなくなるため注意してください'
+    : '保存済みの対応表は暗号化されています。パスフレーズを入力してください';
+  unlockBtn.textContent = isSetup ? '設定' : '解除';
+  unlockPassphraseConfirm.classList.toggle('hidden', !isSetup);
+  unlockPassphrase.autocomplete = isSetup ? 'new-password' : 'current-password';
+  unlockError.textContent = '';
+
+  managerSection.classList.add('hidden');
+  lockSection.classList.remove('hidden');
+  unlockPassphrase.focus();
+}
+
+/**
+ * ロック解除フォームの送信
+ */
+async function submitUnlockForm(e) {
+  e.preventDefault();
+
+  const passphrase = unlockPassphrase.value;
+  if (!passphrase) {
+    unlockError.textContent = 'パスフレーズを入力してください';
+    return;
+  }
+
+  unlockBtn.disabled = true;
+  try {
+    if (unlockForm.dataset.mode === 'setup') {
+      if (passphrase.length < 8) {
+        unlockError.textContent = 'パスフレーズは8文字以上にしてください';
+        return;
+      }
+      if (passphrase !== unlockPassphraseConfirm.value) {
+        unlockError.textContent = 'パスフレーズが一致しません';
+        return;
+      }
+      await MappingVault.setup(passphrase);
+    } else if (!(await MappingVault.unlock(passphrase))) {
+      unlockError.textContent = 'パスフレーズが正しくありません';
+      return;
+    }
+
+    await loadMappings();
+  } catch (error) {
+    console.error('保管庫のロック解除エラー:', error);
+    unlockError.textContent = 'ロックを解除できませんでした';
+  } finally {
+    unlockBtn.disabled = false;
+    unlockPassphrase.value = '';
+    unlockPassphraseConfirm.value = '';
+  }
+}
+
+/**
+ * 対応表の一覧を描画
+ */
+function renderMappings() {
+  const query = searchInput.value.trim().toLowerCase();
+  const visible = mappings.filter((mapping) => editingId === mapping.id || matchesQuery(mapping, query));
+
+  emptyState.classList.toggle('hidden', mappings.length > 0);
+  mappingList.innerHTML = visible.map((mapping) => renderMappingCard(mapping, query)).join('');
+
+  if (mappings.length > 0 && visible.length === 0) {
+    mappingList.innerHTML = '<p class="section-description">検索に一致する対応表はありません</p>';
+  }
+
+  updateSelection();
+}
+
+/**
+ * 対応表1件分のHTML
+ */
+function renderMappingCard(mapping, query) {
+  const isEditing = editingId === mapping.id;
+  const isSelected = selectedIds.includes(mapping.id);
+  const expiry = formatExpiry(mapping);
+  const createdAt = new Date(mapping.createdAt).toLocaleString('ja-JP');
+
+  let entries = '';
+  if (isEditing) {
+    entries = renderEntryEditor(mapping);
+  } else if (query) {
+    // 検索中は一致したエントリのみ表示
+    const matched = [...mapping.mappingTable].filter(([label, original]) => matchesEntry(label, original, query));
+    entries = matched.length > 0 ? renderEntryTable(matched) : '';
+  }
+
+  return `
+    <div class="mapping-card${isSelected ? ' selected' : ''}" data-id="${escapeHtml(mapping.id)}">
+      <div class="mapping-card-header">
+        <input type="checkbox" class="mapping-check" ${isSelected ? 'checked' : ''} ${isEditing ? 'disabled' : ''}>
+        <div class="mapping-info">
+          <span class="mapping-name">${escapeHtml(mapping.name)}</span>
+          <span class="mapping-meta">${mapping.itemCount}件・${escapeHtml(createdAt)}${expiry ? `・<span class="mapping-expiry">${expiry}</span>` : ''}</span>
+        </div>
+        <div class="mapping-actions">
+          <button class="rename-btn" title="名前を変更" ${isEditing ? 'disabled' : ''}>名前を変更</button>
+          <button class="edit-btn" title="エントリを編集" ${isEditing ? 'disabled' : ''}>編集</button>
+          <button class="delete-btn" title="削除" ${isEditing ? 'disabled' : ''}>削除</button>
+        </div>
+      </div>
+      ${entries}
+    </div>
+  `;
+}
+
+/**
+ * エントリの一覧（読み取り専用）
+ */
+function renderEntryTable(entries) {
+  return `
+    <table class="entry-table">
+      <tbody>
+        ${entries.map(([label, original]) => `
+          <tr>
+            <td class="entry-label">${escapeHtml(label)}</td>
+            <td class="entry-original">${escapeHtml(original)}</td>
+          </tr>
+        `).join('')}
+      </tbody>
+    </table>
+  `;
+}
+
+/**
+ * エントリの編集フォーム
+ */
+function renderEntryEditor(mapping) {
+  return `
+    <div class="entry-editor">
+      <div class="entry-rows">
+        ${[...mapping.mappingTable].map(([label, original]) => renderEntryRow(label, original)).join('')}
+      </div>
+      <button class="add-entry-btn">＋ エントリを追加</button>
+      <p class="error-text" id="entryError"></p>
+      <div class="entry-editor-actions">
+        <button class="secondary-btn cancel-edit-btn">キャンセル</button>
+        <button class="primary-btn save-edit-btn">保存</button>
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * 編集フォームのエントリ1行分のHTML
+ */
+function renderEntryRow(label = '', original = '') {
+  return `
+    <div class="entry-row">
+      <input type="text" class="text-input entry-label-input" value="${escapeHtml(label)}" placeholder="[Person_A]">
+      <input type="text" class="text-input entry-original-input" value="${escapeHtml(original)}" placeholder="元の値">
+      <button class="entry-delete-btn" title="削除">&times;</button>
+    </div>
+  `;
+}
+
+/**
+ * 検索語に一致するか（名前・ラベル・元の値）
+ */
+function matchesQuery(mapping, query) {
+  if (!query) return true;
+  if (mapping.name.toLowerCase().includes(query)) return true;
+  return [...mapping.mappingTable].some(([label, original]) => matchesEntry(label, original, query));
+}
+
+function matchesEntry(label, original, query) {
+  return label.toLowerCase().includes(query) || original.toLowerCase().includes(query);
+}
+
+/**
+ * 削除までの残り時間を表示用に整形
+ */
+function formatExpiry(mapping) {
+  const expiresAt = MappingVault.expiresAt(mapping, retentionPolicy);
+  if (expiresAt === null) return '';
+
+  const hours = Math.floor((expiresAt - Date.now()) / (60 * 60 * 1000));
+  if (hours >= 24) return `あと${Math.floor(hours / 24)}日で削除`;
+  if (hours >= 1) return `あと${hours}時間で削除`;
+  return 'まもなく削除';
+}
+
+/**
+ * 選択状態に応じてボタンと案内を更新
+ */
+function updateSelection() {
+  mergeBtn.disabled = selectedIds.length !== 2;
+  exportBtn.textContent = selectedIds.length > 0 ? `エクスポート（${selectedIds.length}件）` : 'すべてエクスポート';
+  selectionInfo.textContent = selectedIds.length > 0
+    ? `${selectedIds.length}件を選択中（2件選択すると結合できます）`
+    : '';
+}
+
+/**
+ * 一覧のクリック・チェックを処理
+ */
+function handleListClick(e) {
+  const card = e.target.closest('.mapping-card');
+  if (!card) return;
+  const id = card.dataset.id;
+
+  if (e.target.classList.contains('mapping-check')) {
+    toggleSelection(id, e.target.checked);
+  } else if (e.target.closest('.rename-btn')) {
+    renameMapping(id);
+  } else if (e.target.closest('.edit-btn')) {
+    startEditing(id);
+  } else if (e.target.closest('.delete-btn')) {
+    deleteMapping(id);
+  } else if (e.target.closest('.add-entry-btn')) {
+    card.querySelector('.entry-rows').insertAdjacentHTML('beforeend', renderEntryRow());
+    card.querySelector('.entry-row:last-child .entry-label-input').focus();
+  } else if (e.target.closest('.entry-delete-btn')) {
+    e.target.closest('.entry-row').remove();
+  } else if (e.target.closest('.cancel-edit-btn')) {
+    editingId = null;
+    renderMappings();
+  } else if (e.target.closest('.save-edit-btn')) {
+    saveEntries(id, card);
+  }
+}
+
+/**
+ * 対応表の選択を切り替え
+ */
+function toggleSelection(id, checked) {
+  selectedIds = selectedIds.filter((selectedId) => selectedId !== id);
+  if (checked) {
+    selectedIds.push(id);
+  }
+  mappingList.querySelector(`.mapping-card[data-id="${CSS.escape(id)}"]`)?.classList.toggle('selected', checked);
+  updateSelection();
+}
+
+/**
+ * 対応表の名前を変更
+ */
+async function renameMapping(id) {
+  const mapping = mappings.find((m) => m.id === id);
+  if (!mapping) return;
+
+  const name = prompt('対応表の名前を入力してください:', mapping.name);
+  if (name === null || !name.trim() || name.trim() === mapping.name) return;
+
+  try {
+    await MappingVault.update(id, { name: name.trim() });
+    await loadMappings();
+    showStatus('名前を変更しました');
+  } catch (error) {
+    console.error('名前の変更に失敗:', error);
+    showStatus('名前の変更に失敗しました', true);
+  }
+}
+
+/**
+ * エントリの編集を開始
+ */
+function startEditing(id) {
+  if (editingId && editingId !== id && !confirm('編集中の内容を破棄しますか？')) return;
+
+  editingId = id;
+  renderMappings();
+}
+
+/**
+ * 編集したエントリを保存
+ */
+async function saveEntries(id, card) {
+  const entryError = card.querySelector('#entryError');
+  const mappingTable = new Map();
+
+  for (const row of card.querySelectorAll('.entry-row')) {
+    const label = row.querySelector('.entry-label-input').value.trim();
+    const original = row.querySelector('.entry-original-input').value.trim();
+
+    // 空の行は無視
+    if (!label && !original) continue;
+
+    if (!label || !original) {
+      entryError.textContent = 'ラベルと元の値の両方を入力してください';
+      return;
+    }
+    if (mappingTable.has(label)) {
+      entryError.textContent = `ラベル ${label} が重複しています`;
+      return;
+    }
+    mappingTable.set(label, original);
+  }
+
+  try {
+    await MappingVault.update(id, { mappingTable });
+    editingId = null;
+    await loadMappings();
+    showStatus(`エントリを保存しました（${mappingTable.size}件）`);
+  } catch (error) {
+    console.error('エントリの保存に失敗:', error);
+    entryError.textContent = '保存に失敗しました';
+  }
+}
+
+/**
+ * 対応表を削除
+ */
+async function deleteMapping(id) {
+  const mapping = mappings.find((m) => m.id === id);
+  if (!mapping || !confirm(`「${mapping.name}」を削除しますか？`)) return;
+
+  try {
+    await MappingVault.remove(id);
+    selectedIds = selectedIds.filter((selectedId) => selectedId !== id);
+    await loadMappings();
+    showStatus('対応表を削除しました');
+  } catch (error) {
+    console.error('対応表の削除に失敗:', error);
+    showStatus('削除に失敗しました', true);
+  }
+}
+
+/**
+ * チェックした2つの対応表を結合
+ * 先にチェックした対応表に、もう一方のエントリを追加し、もう一方は削除する
+ */
+async function mergeMappings() {
+  if (selectedIds.length !== 2) return;
+
+  const [target, source] = selectedIds.map((id) => mappings.find((m) => m.id === id));
+  if (!target || !source) return;
+
+  // 同じラベルが異なる値を指す場合は、結合先の値を優先
+  const mappingTable = new Map(target.mappingTable);
+  const conflicts = [];
+  for (const [label, original] of source.mappingTable) {
+    if (!mappingTable.has(label)) {
+      mappingTable.set(label, original);
+    } else if (mappingTable.get(label) !== original) {
+      conflicts.push(label);
+    }
+  }
+
+  let message = `「${source.name}」を「${target.name}」に結合しますか？\n結合後、「${source.name}」は削除されます。`;
+  if (conflicts.length > 0) {
+    message += `\n\n次のラベルは値が異なるため「${target.name}」の値を残します:\n${conflicts.join(', ')}`;
+  }
+  if (!confirm(message)) return;
+
+  try {
+    await MappingVault.update(target.id, { mappingTable });
+    await MappingVault.remove(source.id);
+    selectedIds = [];
+    await loadMappings();
+    showStatus(`結合しました（${mappingTable.size}件）`);
+  } catch (error) {
+    console.error('対応表の結合に失敗:', error);
+    showStatus('結合に失敗しました', true);
+  }
+}
+
+/**
+ * 対応表を暗号化してエクスポート
+ */
+async function exportMappings() {
+  const ids = selectedIds.length > 0 ? selectedIds : mappings.map((mapping) => mapping.id);
+  if (ids.length === 0) {
+    showStatus('エクスポートする対応表がありません', true);
+    return;
+  }
+
+  const passphrase = await requestFilePassphrase({
+    title: 'エクスポート用のパスフレーズ',
+    description: `${ids.length}件の対応表を暗号化して書き出します。読み込むときにこのパスフレーズが必要です`,
+    confirm: true
+  });
+  if (!passphrase) return;
+
+  try {
+    const data = await MappingVault.exportEncrypted(ids, passphrase);
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = 'privacyshield-mappings.json';
+    a.click();
+
+    URL.revokeObjectURL(url);
+    showStatus(`${ids.length}件の対応表をエクスポートしました`);
+  } catch (error) {
+    console.error('対応表のエクスポートに失敗:', error);
+    showStatus('エクスポートに失敗しました', true);
+  }
+}
+
+/**
+ * エクスポートした対応表を読み込む
+ */
+async function handleImport(event) {
+  const file = event.target.files[0];
+  if (!file) return;
+
+  try {
+    const data = JSON.parse(await file.text());
+
+    const passphrase = await requestFilePassphrase({
+      title: 'インポート用のパスフレーズ',
+      description: 'エクスポートしたときのパスフレーズを入力してください',
+      confirm: false
+    });
+    if (!passphrase) return;
+
+    const mappings = await MappingVault.decryptExport(data, passphrase);
+
+    // 保存期間・保存件数の設定で削除される対応表がある場合は事前に確認
+    const preview = await MappingVault.previewAdd(mappings);
+    if (preview.droppedNew + preview.droppedExisting > 0) {
+      const confirmed = confirm(
+        `保存期間・保存件数の設定により、インポートする対応表のうち${preview.droppedNew}件と` +
+        `保存済みの対応表${preview.droppedExisting}件が削除されます。続けますか？\n` +
+        '（設定画面で保存件数・保存期間を変更してからインポートすると削除されません）'
+      );
+      if (!confirmed) return;
+    }
+
+    const result = await MappingVault.addAll(mappings);
+    await loadMappings();
+    const dropped = result.droppedNew + result.droppedExisting;
+    showStatus(dropped > 0
+      ? `${result.added.length}件の対応表をインポートしました（保存期間・保存件数の設定により${dropped}件を削除）`
+      : `${result.added.length}件の対応表をインポートしました`, dropped > 0);
+  } catch (error) {
+    alert('インポートに失敗しました: ' + error.message);
+  } finally {
+    // 入力をリセット
+    importInput.value = '';
+  }
+}
+
+/**
+ * エクスポート・インポート用のパスフレーズを入力
+ * @param {Object} options - { title, description, confirm: 確認入力を求めるか }
+ * @return {Promise<string|null>} キャンセルした場合はnull
+ */
+function requestFilePassphrase({ title, description, confirm }) {
+  passphraseModalTitle.textContent = title;
+  passphraseDescription.textContent = description;
+  passphraseForm.dataset.confirm = confirm ? 'true' : 'false';
+  filePassphraseConfirm.classList.toggle('hidden', !confirm);
+  filePassphrase.value = '';
+  filePassphraseConfirm.value = '';
+  passphraseError.textContent = '';
+
+  passphraseModal.classList.add('show');
+  filePassphrase.focus();
+
+  return new Promise((resolve) => {
+    resolvePassphraseModal = resolve;
+  });
+}
+
+/**
+ * パスフレーズ入力モーダルの送信
+ */
+function submitPassphraseForm(e) {
+  e.preventDefault();
+
+  const passphrase = filePassphrase.value;
+  if (passphraseForm.dataset.confirm === 'true') {
+    if (passphrase.length < 8) {
+      passphraseError.textContent = 'パスフレーズは8文字以上にしてください';
+      return;
+    }
+    if (passphrase !== filePassphraseConfirm.value) {
+      passphraseError.textContent = 'パスフレーズが一致しません';
+      return;
+    }
+  } else if (!passphrase) {
+    passphraseError.textContent = 'パスフレーズを入力してください';
+    return;
+  }
+
+  closePassphraseModal(passphrase);
+}
+
+/**
+ * パスフレーズ入力モーダルを閉じる
+ * @param {string|null} passphrase - 入力されたパスフレーズ（キャンセルはnull）
+ */
+function closePassphraseModal(passphrase = null) {
+  passphraseModal.classList.remove('show');
+  filePassphrase.value = '';
+  filePassphraseConfirm.value = '';
+  resolvePassphraseModal?.(passphrase);
+  resolvePassphraseModal = null;
+}
+
+/**
+ * 対応表をロック
+ */
+async function lockVault() {
+  await MappingVault.lock();
+  await showLockSection();
+}
+
+/**
+ * ステータスを表示
+ */
+function showStatus(message, isError = false) {
+  statusText.textContent = message;
+  statusText.style.color = isError ? 'var(--error-color)' : 'var(--success-color)';
+
+  setTimeout(() => {
+    statusText.textContent = '';
+  }, 3000);
+}
+
+/**
+ * ページを閉じる
+ */
+async function closePage() {
+  try {
+    const tab = await chrome.tabs.getCurrent();
+    if (tab?.id) {
+      await chrome.tabs.remove(tab.id);
+    }
+  } catch (error) {
+    // フォールバック: window.closeを試行
+    window.close();
+  }
+}
+
+/**
+ * HTMLエスケープ
+ */
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text;
+  return div.innerHTML.replace(/"/g, '&quot;');
+}
+
+/**
+ * 初期化
+ */
+function init() {
+  loadMappings();
+
+  unlockForm.addEventListener('submit', submitUnlockForm);
+  searchInput.addEventListener('input', renderMappings);
+  mappingList.addEventListener('click', handleListClick);
+  mergeBtn.addEventListener('click', mergeMappings);
+  exportBtn.addEventListener('click', exportMappings);
+  importBtn.addEventListener('click', () => importInput.click());
+  importInput.addEventListener('change', handleImport);
+  lockBtn.addEventListener('click', lockVault);
+  closePageBtn.addEventListener('click', closePage);
+  passphraseForm.addEventListener('submit', submitPassphraseForm);
+  closePassphraseModalBtn.addEventListener('click', () => closePassphraseModal());
+  cancelPassphraseBtn.addEventListener('click', () => closePassphraseModal());
+
+  // 自動ロック・他の画面での変更を反映（編集中は内容を失わないよう更新しない）
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'session' && changes.vaultSession && !changes.vaultSession.newValue) {
+      showLockSection();
+    } else if (areaName === 'local' && changes.savedMappings && !editingId) {
+      loadMappings();
+    }
+  });
+
+  // モーダル外クリックで閉じる
+  passphraseModal.addEventListener('click', (e) => {
+    if (e.target === passphraseModal) {
+      closePassphraseModal();
+    }
+  });
+}
+
+// DOMContentLoadedで初期化
+document.addEventListener('DOMContentLoaded', init);
@@ -7,15 +7,36 @@ const defaultPatterns = document.getElementById('defaultPatterns');
 const customPatterns = document.getElementById('customPatterns');
 const emptyState = document.getElementById('emptyState');
 const addPatternBtn = document.getElementById('addPatternBtn');
-const autoMask = document.getElementById('autoMask');
+const sendGuardPolicy = document.getElementById('sendGuardPolicy');
 const showNotifications = document.getElementById('showNotifications');
+const autoRestoreResponses = document.getElementById('autoRestoreResponses');
+const labelScheme = document.getElementById('labelScheme');
+const replacementMode = document.getElementById('replacementMode');
+const structuredMasking = document.getElementById('structuredMasking');
+const structuredFields = document.getElementById('structuredFields');
+const autoLockMinutes = document.getElementById('autoLockMinutes');
+const retentionMaxCount = document.getElementById('retentionMaxCount');
+const retentionMaxDays = document.getElementById('retentionMaxDays');
+const retentionClearOnClose = document.getElementById('retentionClearOnClose');
+const allowlist = document.getElementById('allowlist');
+const denylist = document.getElementById('denylist');
+const importTermsBtn = document.getElementById('importTermsBtn');
+const exportTermsBtn = document.getElementById('exportTermsBtn');
+const importTermsInput = document.getElementById('importTermsInput');
 const exportBtn = document.getElementById('exportBtn');
 const importBtn = document.getElementById('importBtn');
 const importInput = document.getElementById('importInput');
 const resetBtn = document.getElementById('resetBtn');
+const clearMappingsBtn = document.getElementById('clearMappingsBtn');
+const manageMappingsBtn = document.getElementById('manageMappingsBtn');
 const saveBtn = document.getElementById('saveBtn');
 const saveStatus = document.getElementById('saveStatus');
 const closePageBtn = document.getElementById('closePageBtn');
+const optionalSites = document.getElementById('optionalSites');
+const customSites = document.getElementById('customSites');
+const addSiteBtn = document.getElementById('addSiteBtn');
+const policyBanner = document.getElementById('policyBanner');
+const policyBlockedSites = document.getElementById('policyBlockedSites');
 
 // モーダル要素
 const patternModal = document.getElementById('patternModal');
@@ -27,20 +48,78 @@ const patternKey = document.getElementById('patternKey');
 const patternLabel = document.getElementById('patternLabel');
 const patternRegex = document.getElementById('patternRegex');
 const patternDescription = document.getElementById('patternDescription');
+const patternContextKeywords = document.getElementById('patternContextKeywords');
+const patternExcludeKeywords = document.getElementById('patternExcludeKeywords');
+const patternContextWindow = document.getElementById('patternContextWindow');
+const patternMinLength = document.getElementById('patternMinLength');
+const patternMaxLength = document.getElementById('patternMaxLength');
+const patternValidator = document.getElementById('patternValidator');
 const patternTest = document.getElementById('patternTest');
 const testResult = document.getElementById('testResult');
 
+// 対応サイトモーダル要素
+const siteModal = document.getElementById('siteModal');
+const siteModalTitle = document.getElementById('siteModalTitle');
+const closeSiteModalBtn = document.getElementById('closeSiteModalBtn');
+const cancelSiteModalBtn = document.getElementById('cancelSiteModalBtn');
+const saveSiteBtn = document.getElementById('saveSiteBtn');
+const siteName = document.getElementById('siteName');
+const siteHosts = document.getElementById('siteHosts');
+const siteInputSelector = document.getElementById('siteInputSelector');
+const siteSubmitSelector = document.getElementById('siteSubmitSelector');
+const siteResponseSelector = document.getElementById('siteResponseSelector');
+const siteEditor = document.getElementById('siteEditor');
+
 // 現在の設定
 let currentSettings = {
   disabledPatterns: [],
   customPatterns: [],
+  patternRules: {},
   autoMask: true,
-  showNotifications: true
+  sendGuardPolicy: 'mask',
+  autoRestoreResponses: true,
+  showNotifications: true,
+  labelScheme: 'alpha',
+  replacementMode: 'label',
+  maskingStrategies: {},
+  structuredMasking: true,
+  structuredFields: [],
+  autoLockMinutes: 15,
+  ...MappingVault.RETENTION_DEFAULTS,
+  enabledSites: [],
+  customSites: [],
+  ignoredTerms: [],
+  allowlist: [],
+  denylist: []
+};
+
+// 組織の管理ポリシー（ポリシーで固定された項目は変更できない）
+// 保存する設定には含めず、表示と保存時の扱いにのみ使う
+let managedPolicy = ManagedPolicy.normalize({});
+
+// 送信前チェックのポリシー
+const SEND_GUARD_POLICIES = ['mask', 'confirm', 'block', 'off'];
+
+// chrome.storage.sync の容量の上限（1項目あたり・全体、バイト）
+const SYNC_QUOTA_BYTES_PER_ITEM = chrome.storage.sync.QUOTA_BYTES_PER_ITEM || 8192;
+const SYNC_QUOTA_BYTES = chrome.storage.sync.QUOTA_BYTES || 102400;
+
+// 許可リスト・拒否リストの照合方法
+const TERM_MATCH_TYPES = {
+  exact: '完全一致',
+  ignoreCase: '大文字/小文字を区別しない',
+  regex: '正規表現'
 };
 
 // 編集中のカスタムパターンのインデックス（-1は新規追加）
 let editingPatternIndex = -1;
 
+// 追加条件を編集中の組み込みパターンのキー（nullはカスタムパターンの編集）
+let editingBuiltinPattern = null;
+
+// 編集中の対応サイトのインデックス（-1は新規追加）
+let editingSiteIndex = -1;
+
 /**
  * 設定を読み込む
  */
@@ -49,19 +128,60 @@ async function loadSettings() {
     const settings = await chrome.storage.sync.get([
       'disabledPatterns',
       'customPatterns',
+      'patternRules',
       'autoMask',
-      'showNotifications'
+      'sendGuardPolicy',
+      'autoRestoreResponses',
+      'showNotifications',
+      'labelScheme',
+      'replacementMode',
+      'maskingStrategies',
+      'structuredMasking',
+      'structuredFields',
+      'autoLockMinutes',
+      ...Object.keys(MappingVault.RETENTION_DEFAULTS),
+      'enabledSites',
+      'customSites',
+      'ignoredTerms',
+      'allowlist',
+      'denylist'
     ]);
 
     currentSettings = {
       disabledPatterns: settings.disabledPatterns || [],
       customPatterns: settings.customPatterns || [],
+      patternRules: settings.patternRules || {},
       autoMask: settings.autoMask !== false,
-      showNotifications: settings.showNotifications !== false
+      // 未設定の場合は従来の「自動マスキング」設定から決定
+      sendGuardPolicy: settings.sendGuardPolicy || (settings.autoMask !== false ? 'mask' : 'confirm'),
+      autoRestoreResponses: settings.autoRestoreResponses !== false,
+      showNotifications: settings.showNotifications !== false,
+      labelScheme: settings.labelScheme || 'alpha',
+      replacementMode: settings.replacementMode || 'label',
+      maskingStrategies: settings.maskingStrategies || {},
+      structuredMasking: settings.structuredMasking !== false,
+      structuredFields: settings.structuredFields || [],
+      autoLockMinutes: settings.autoLockMinutes ?? 15,
+      retentionMaxCount: settings.retentionMaxCount ?? MappingVault.RETENTION_DEFAULTS.retentionMaxCount,
+      retentionMaxDays: settings.retentionMaxDays ?? MappingVault.RETENTION_DEFAULTS.retentionMaxDays,
+      retentionClearOnClose: settings.retentionClearOnClose === true,
+      enabledSites: settings.enabledSites || [],
+      customSites: settings.customSites || [],
+      // 以前の「マスキングしない語句」は許可リストに統合（保存時に移行）
+      ignoredTerms: [],
+      allowlist: mergeTermEntries(
+        settings.allowlist || [],
+        (settings.ignoredTerms || []).map((term) => ({ term, match: 'exact' }))
+      ),
+      denylist: settings.denylist || []
     };
+    managedPolicy = await ManagedPolicy.load();
 
+    renderPolicyBanner();
     renderDefaultPatterns();
     renderCustomPatterns();
+    renderSites();
+    renderTermLists();
     renderOtherSettings();
   } catch (error) {
     console.error('設定の読み込みに失敗:', error);
@@ -75,7 +195,31 @@ function renderDefaultPatterns() {
   const checkboxes = defaultPatterns.querySelectorAll('input[type="checkbox"]');
   checkboxes.forEach((checkbox) => {
     const isDisabled = currentSettings.disabledPatterns.includes(checkbox.value);
-    checkbox.checked = !isDisabled;
+    const isEnforced = managedPolicy.enforcedPatterns.includes(checkbox.value);
+    checkbox.checked = !isDisabled || isEnforced;
+    checkbox.disabled = isEnforced;
+
+    // マスキング方式の選択
+    const item = checkbox.closest('.pattern-item');
+    setPolicyLocked(item, isEnforced);
+    if (!item.querySelector('.pattern-strategy')) {
+      item.insertAdjacentHTML('beforeend', renderStrategySelect(checkbox.value));
+    }
+    item.querySelector('.pattern-strategy').value = currentSettings.maskingStrategies[checkbox.value] || 'token';
+
+    // 追加条件の編集ボタン
+    let ruleBtn = item.querySelector('.pattern-rule-btn');
+    if (!ruleBtn) {
+      ruleBtn = document.createElement('button');
+      ruleBtn.type = 'button';
+      ruleBtn.className = 'pattern-rule-btn';
+      ruleBtn.dataset.key = checkbox.value;
+      ruleBtn.textContent = '条件';
+      item.appendChild(ruleBtn);
+    }
+    const hasRules = Object.keys(MaskingEngine.pickRules(currentSettings.patternRules[checkbox.value])).length > 0;
+    ruleBtn.classList.toggle('has-rules', hasRules);
+    ruleBtn.title = hasRules ? '追加条件を編集（設定済み）' : '追加条件を設定';
   });
 }
 
@@ -100,6 +244,7 @@ function renderCustomPatterns() {
         <span class="pattern-regex">/${escapeHtml(pattern.regex)}/</span>
       </div>
       <div class="custom-pattern-actions">
+        ${renderStrategySelect(pattern.key)}
         <button class="edit-btn" title="編集" data-index="${index}">
           <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
             <path d="M11 4H4a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2v-7"/>
@@ -127,12 +272,453 @@ function renderCustomPatterns() {
   });
 }
 
+/**
+ * パターンのマスキング方式の選択欄
+ * @param {string} patternKey - パターンのキー
+ * @return {string} HTML
+ */
+function renderStrategySelect(patternKey) {
+  const current = currentSettings.maskingStrategies[patternKey] || 'token';
+  return `
+    <select class="pattern-strategy" data-key="${escapeHtml(patternKey)}" title="マスキング方式">
+      ${Object.entries(MaskingEngine.STRATEGIES)
+        .map(([value, label]) => `<option value="${value}" ${current === value ? 'selected' : ''}>${label}</option>`)
+        .join('')}
+    </select>
+  `;
+}
+
+/**
+ * マスキング方式の変更を設定に反映（全体を置換は保存しない）
+ */
+function handleStrategyChange(e) {
+  const select = e.target.closest('.pattern-strategy');
+  if (!select) return;
+
+  if (select.value === 'token') {
+    delete currentSettings.maskingStrategies[select.dataset.key];
+  } else {
+    currentSettings.maskingStrategies[select.dataset.key] = select.value;
+  }
+}
+
+/**
+ * 対応サイトを描画
+ */
+function renderSites() {
+  // 組み込みの追加サイト（有効化すると権限を要求）
+  optionalSites.innerHTML = SiteAdapterRegistry.BUILTIN_ADAPTERS
+    .filter((adapter) => adapter.optional)
+    .map(
+      (adapter) => `
+    <label class="pattern-item ${managedPolicy.enabledSites.includes(adapter.id) ? 'policy-locked' : ''}"
+      ${managedPolicy.enabledSites.includes(adapter.id) ? 'title="組織のポリシーで有効になっています"' : ''}>
+      <input type="checkbox" name="site" value="${escapeHtml(adapter.id)}"
+        ${currentSettings.enabledSites.includes(adapter.id) || managedPolicy.enabledSites.includes(adapter.id) ? 'checked' : ''}
+        ${managedPolicy.enabledSites.includes(adapter.id) ? 'disabled' : ''}>
+      <span class="pattern-icon">🌐</span>
+      <div class="pattern-info">
+        <span class="pattern-name">${escapeHtml(adapter.name)}</span>
+        <span class="pattern-description">${escapeHtml(adapter.hosts.join(', '))}</span>
+      </div>
+    </label>
+  `
+    )
+    .join('');
+
+  // 利用者が追加したサイト
+  customSites.innerHTML = currentSettings.customSites
+    .map(
+      (site, index) => `
+    <div class="custom-pattern-item" data-index="${index}">
+      <div class="pattern-info">
+        <span class="pattern-name">${escapeHtml(site.name)}</span>
+        <span class="pattern-description">${escapeHtml(site.inputSelector || 'textarea / contenteditable')}</span>
+        <span class="pattern-regex">${escapeHtml(SiteAdapterRegistry.parseList(site.hosts).join(', '))}</span>
+      </div>
+      <div class="custom-pattern-actions">
+        <button class="edit-btn" title="編集" data-index="${index}">
+          <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+            <path d="M11 4H4a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2v-7"/>
+            <path d="M18.5 2.5a2.121 2.121 0 0 1 3 3L12 15l-4 1 1-4 9.5-9.5z"/>
+          </svg>
+        </button>
+        <button class="delete-btn" title="削除" data-index="${index}">
+          <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+            <path d="M3 6h18"/>
+            <path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"/>
+          </svg>
+        </button>
+      </div>
+    </div>
+  `
+    )
+    .join('');
+
+  customSites.querySelectorAll('.edit-btn').forEach((btn) => {
+    btn.addEventListener('click', () => openSiteModal(parseInt(btn.dataset.index)));
+  });
+  customSites.querySelectorAll('.delete-btn').forEach((btn) => {
+    btn.addEventListener('click', () => deleteSite(parseInt(btn.dataset.index)));
+  });
+}
+
+/**
+ * 対応サイトモーダルを開く
+ */
+function openSiteModal(index = -1) {
+  editingSiteIndex = index;
+  siteModalTitle.textContent = index >= 0 ? '対応サイトを編集' : '対応サイトを追加';
+
+  const site = index >= 0 ? currentSettings.customSites[index] : {};
+  siteName.value = site.name || '';
+  siteHosts.value = SiteAdapterRegistry.parseList(site.hosts).join(', ');
+  siteInputSelector.value = site.inputSelector || '';
+  siteSubmitSelector.value = site.submitSelector || '';
+  siteResponseSelector.value = site.responseSelector || '';
+  siteEditor.value = site.editor || 'plain';
+
+  siteModal.classList.add('show');
+}
+
+/**
+ * 対応サイトモーダルを閉じる
+ */
+function closeSiteModal() {
+  siteModal.classList.remove('show');
+  editingSiteIndex = -1;
+}
+
+/**
+ * 対応サイトを保存
+ */
+function saveSite() {
+  const hosts = SiteAdapterRegistry.parseList(siteHosts.value)
+    .map((host) => host.replace(/^[a-z]+:\/\//i, '').replace(/\/.*$/, '').toLowerCase());
+
+  if (!siteName.value.trim() || hosts.length === 0) {
+    alert('サイト名とホスト名は必須です');
+    return;
+  }
+
+  // セレクターの妥当性をチェック
+  for (const input of [siteInputSelector, siteSubmitSelector, siteResponseSelector]) {
+    for (const selector of SiteAdapterRegistry.parseList(input.value)) {
+      try {
+        document.querySelector(selector);
+      } catch (e) {
+        alert('セレクターが無効です: ' + selector);
+        return;
+      }
+    }
+  }
+
+  const existing = editingSiteIndex >= 0 ? currentSettings.customSites[editingSiteIndex] : null;
+  const site = {
+    id: existing?.id || `site_${Date.now()}`,
+    name: siteName.value.trim(),
+    hosts,
+    inputSelector: siteInputSelector.value.trim(),
+    submitSelector: siteSubmitSelector.value.trim(),
+    responseSelector: siteResponseSelector.value.trim(),
+    editor: siteEditor.value
+  };
+
+  if (editingSiteIndex >= 0) {
+    currentSettings.customSites[editingSiteIndex] = site;
+  } else {
+    currentSettings.customSites.push(site);
+  }
+
+  renderSites();
+  closeSiteModal();
+}
+
+/**
+ * 対応サイトを削除
+ */
+function deleteSite(index) {
+  if (!confirm('この対応サイトを削除しますか？')) return;
+
+  currentSettings.customSites.splice(index, 1);
+  renderSites();
+}
+
+/**
+ * 有効な追加サイトのホスト権限を要求
+ * ユーザー操作の直後に呼び出す必要がある
+ * @return {Promise<boolean>} 許可されたかどうか
+ */
+async function requestSitePermissions() {
+  // ポリシーで有効にされたサイトも権限がなければ動作しない
+  const registry = SiteAdapterRegistry.fromSettings(ManagedPolicy.apply(currentSettings, managedPolicy));
+  const origins = registry.getMatchPatterns({ onlyDynamic: true });
+  if (origins.length === 0) return true;
+
+  try {
+    return await chrome.permissions.request({ origins });
+  } catch (error) {
+    console.error('権限の要求に失敗:', error);
+    return false;
+  }
+}
+
+/**
+ * 管理ポリシーで管理されている場合に通知を表示
+ */
+function renderPolicyBanner() {
+  policyBanner.hidden = !ManagedPolicy.isManaged(managedPolicy);
+  policyBlockedSites.hidden = managedPolicy.blockedSites.length === 0;
+  policyBlockedSites.textContent = `送信が禁止されているサイト: ${managedPolicy.blockedSites.join(', ')}`;
+}
+
+/**
+ * ポリシーで固定された項目の表示を切り替え
+ */
+function setPolicyLocked(item, locked) {
+  item.classList.toggle('policy-locked', locked);
+  item.title = locked ? '組織のポリシーで固定されています' : '';
+}
+
 /**
  * その他の設定を描画
  */
 function renderOtherSettings() {
-  autoMask.checked = currentSettings.autoMask;
+  sendGuardPolicy.value = managedPolicy.sendGuardPolicy || currentSettings.sendGuardPolicy;
+  sendGuardPolicy.disabled = managedPolicy.sendGuardPolicy !== null;
+  setPolicyLocked(sendGuardPolicy.closest('.option-item'), sendGuardPolicy.disabled);
+  autoRestoreResponses.checked = currentSettings.autoRestoreResponses;
   showNotifications.checked = currentSettings.showNotifications;
+  labelScheme.value = currentSettings.labelScheme;
+  replacementMode.value = currentSettings.replacementMode;
+  structuredMasking.checked = currentSettings.structuredMasking;
+  structuredFields.value = currentSettings.structuredFields.join(', ');
+  autoLockMinutes.value = String(currentSettings.autoLockMinutes);
+  retentionMaxCount.value = String(currentSettings.retentionMaxCount);
+  retentionMaxDays.value = String(currentSettings.retentionMaxDays);
+  retentionClearOnClose.checked = currentSettings.retentionClearOnClose;
+}
+
+/**
+ * 許可リスト・拒否リストを描画
+ */
+function renderTermLists() {
+  for (const [listName, container] of [['allowlist', allowlist], ['denylist', denylist]]) {
+    // ポリシーの語句は編集できないため入力欄とは別に表示（readTermLists()の対象外）
+    const managedRows = managedPolicy[listName]
+      .map(
+        (entry) => `
+      <div class="managed-term-row" title="組織のポリシーで設定されています">
+        <span class="managed-term">${escapeHtml(entry.term)}</span>
+        <span class="managed-term-match">${TERM_MATCH_TYPES[entry.match] || TERM_MATCH_TYPES.exact}</span>
+      </div>
+    `
+      )
+      .join('');
+
+    container.innerHTML = managedRows + currentSettings[listName]
+      .map(
+        (entry, index) => `
+      <div class="term-row" data-index="${index}">
+        <input type="text" class="term-input" value="${escapeHtml(entry.term)}" placeholder="${listName === 'allowlist' ? '株式会社PrivacyShield' : 'ORION'}">
+        <select class="term-match">
+          ${Object.entries(TERM_MATCH_TYPES)
+            .map(([value, label]) => `<option value="${value}" ${entry.match === value ? 'selected' : ''}>${label}</option>`)
+            .join('')}
+        </select>
+        <button class="term-delete-btn" title="削除" data-list="${listName}" data-index="${index}">&times;</button>
+      </div>
+    `
+      )
+      .join('');
+  }
+}
+
+/**
+ * 入力中の許可リスト・拒否リストを設定に反映
+ */
+function readTermLists() {
+  for (const [listName, container] of [['allowlist', allowlist], ['denylist', denylist]]) {
+    currentSettings[listName] = [...container.querySelectorAll('.term-row')].map((row) => ({
+      term: row.querySelector('.term-input').value.trim(),
+      match: row.querySelector('.term-match').value
+    }));
+  }
+}
+
+/**
+ * 語句を追加・削除（入力中の内容を保ったまま再描画）
+ */
+function handleTermListClick(e) {
+  const addBtn = e.target.closest('.add-term-btn');
+  const deleteBtn = e.target.closest('.term-delete-btn');
+  if (!addBtn && !deleteBtn) return;
+
+  readTermLists();
+  if (addBtn) {
+    currentSettings[addBtn.dataset.list].push({ term: '', match: 'exact' });
+  } else {
+    currentSettings[deleteBtn.dataset.list].splice(Number(deleteBtn.dataset.index), 1);
+  }
+  renderTermLists();
+
+  if (addBtn) {
+    const inputs = document.querySelectorAll(`#${addBtn.dataset.list} .term-input`);
+    inputs[inputs.length - 1]?.focus();
+  }
+}
+
+/**
+ * 重複を除いて語句をまとめる
+ */
+function mergeTermEntries(...lists) {
+  const merged = [];
+  for (const entry of lists.flat()) {
+    const isDuplicate = merged.some((existing) => existing.term === entry.term && existing.match === entry.match);
+    if (entry.term && !isDuplicate) {
+      merged.push({ term: entry.term, match: TERM_MATCH_TYPES[entry.match] ? entry.match : 'exact' });
+    }
+  }
+  return merged;
+}
+
+/**
+ * 許可リスト・拒否リストの正規表現を検証（無効な項目は入力欄を強調）
+ * @return {boolean} すべて有効かどうか
+ */
+function validateTermLists() {
+  let isValid = true;
+  for (const container of [allowlist, denylist]) {
+    for (const row of container.querySelectorAll('.term-row')) {
+      const input = row.querySelector('.term-input');
+      const isInvalid = !MaskingEngine.compileTermEntry({
+        term: input.value.trim() || '.',
+        match: row.querySelector('.term-match').value
+      });
+      input.classList.toggle('invalid', isInvalid);
+      if (isInvalid) isValid = false;
+    }
+  }
+  return isValid;
+}
+
+/**
+ * 許可リスト・拒否リストをCSVでエクスポート
+ */
+function exportTermLists() {
+  readTermLists();
+  const rows = [
+    ['list', 'term', 'match'],
+    ...currentSettings.allowlist.filter((entry) => entry.term).map((entry) => ['allow', entry.term, entry.match]),
+    ...currentSettings.denylist.filter((entry) => entry.term).map((entry) => ['deny', entry.term, entry.match])
+  ];
+  const csv = rows.map((row) => row.map(toCsvField).join(',')).join('\r\n');
+
+  const blob = new Blob(['\ufeff' + csv], { type: 'text/csv' });
+  const url = URL.createObjectURL(blob);
+
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = 'privacyshield-terms.csv';
+  a.click();
+
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * CSVの許可リスト・拒否リストを取り込む（既存の語句に追加）
+ */
+async function handleTermImport(event) {
+  const file = event.target.files[0];
+  if (!file) return;
+
+  try {
+    const rows = parseCsv((await file.text()).replace(/^\ufeff/, ''));
+    if (rows[0]?.[0]?.trim().toLowerCase() === 'list') {
+      rows.shift();
+    }
+
+    const imported = { allowlist: [], denylist: [] };
+    for (const [list = '', term = '', match = 'exact'] of rows) {
+      const listName = { allow: 'allowlist', deny: 'denylist', 許可: 'allowlist', 拒否: 'denylist' }[list.trim().toLowerCase()];
+      if (!listName || !term.trim()) continue;
+
+      const entry = { term: term.trim(), match: match.trim() || 'exact' };
+      if (!TERM_MATCH_TYPES[entry.match] || !MaskingEngine.compileTermEntry(entry)) {
+        throw new Error(`無効な行です: ${list},${term},${match}`);
+      }
+      imported[listName].push(entry);
+    }
+
+    readTermLists();
+    currentSettings.allowlist = mergeTermEntries(currentSettings.allowlist, imported.allowlist);
+    currentSettings.denylist = mergeTermEntries(currentSettings.denylist, imported.denylist);
+    renderTermLists();
+
+    const count = imported.allowlist.length + imported.denylist.length;
+    const oversized = findOversizedTermLists();
+    if (oversized.length > 0) {
+      showSaveStatus(`${count}件インポートしましたが、${oversized.join('・')}が保存できる容量を超えています`, true);
+    } else {
+      showSaveStatus(`${count}件インポートしました（保存ボタンで確定）`);
+    }
+  } catch (error) {
+    alert('インポートに失敗しました: ' + error.message);
+  }
+
+  // 入力をリセット
+  importTermsInput.value = '';
+}
+
+/**
+ * CSVを行・列の配列に変換（ダブルクォートで囲まれたカンマ・改行に対応）
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter((cells) => cells.some((cell) => cell.trim()));
+}
+
+/**
+ * CSVのフィールドをエスケープ
+ */
+function toCsvField(value) {
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
 }
 
 /**
@@ -140,18 +726,65 @@ function renderOtherSettings() {
  */
 async function saveSettings() {
   try {
+    // 追加サイトの有効化状態を取得（ポリシーで固定されたサイトは利用者の設定を保つ）
+    currentSettings.enabledSites = [...optionalSites.querySelectorAll('input[type="checkbox"]')]
+      .filter((checkbox) => (checkbox.disabled ? currentSettings.enabledSites.includes(checkbox.value) : checkbox.checked))
+      .map((checkbox) => checkbox.value);
+
+    // 許可リスト・拒否リストの正規表現を検証
+    if (!validateTermLists()) {
+      showSaveStatus('許可リスト・拒否リストに無効な正規表現があります', true);
+      return;
+    }
+
+    // 追加サイトの権限を要求（ユーザー操作の直後に行う必要がある）
+    const permitted = await requestSitePermissions();
+
     // デフォルトパターンの無効化リストを取得
     const checkboxes = defaultPatterns.querySelectorAll('input[type="checkbox"]');
     const disabledPatterns = [];
     checkboxes.forEach((checkbox) => {
-      if (!checkbox.checked) {
+      // ポリシーで必須のパターンは利用者の設定を保つ（ポリシーが解除されたときに戻す）
+      const isDisabled = checkbox.disabled
+        ? currentSettings.disabledPatterns.includes(checkbox.value)
+        : !checkbox.checked;
+      if (isDisabled) {
         disabledPatterns.push(checkbox.value);
       }
     });
 
     currentSettings.disabledPatterns = disabledPatterns;
-    currentSettings.autoMask = autoMask.checked;
+    if (!sendGuardPolicy.disabled) {
+      currentSettings.sendGuardPolicy = sendGuardPolicy.value;
+      currentSettings.autoMask = sendGuardPolicy.value === 'mask';
+    }
+    currentSettings.autoRestoreResponses = autoRestoreResponses.checked;
     currentSettings.showNotifications = showNotifications.checked;
+    currentSettings.labelScheme = labelScheme.value;
+    currentSettings.replacementMode = replacementMode.value;
+    currentSettings.structuredMasking = structuredMasking.checked;
+    currentSettings.structuredFields = SiteAdapterRegistry.parseList(structuredFields.value);
+    currentSettings.autoLockMinutes = Number(autoLockMinutes.value);
+    currentSettings.retentionMaxCount = Number(retentionMaxCount.value);
+    currentSettings.retentionMaxDays = Number(retentionMaxDays.value);
+    currentSettings.retentionClearOnClose = retentionClearOnClose.checked;
+    readTermLists();
+    currentSettings.allowlist = mergeTermEntries(currentSettings.allowlist);
+    currentSettings.denylist = mergeTermEntries(currentSettings.denylist);
+    currentSettings.ignoredTerms = [];
+
+    // 容量を超えると設定全体が保存されないため、原因のリストを示して中止
+    const oversized = findOversizedTermLists();
+    if (oversized.length > 0) {
+      showSaveStatus(`${oversized.join('・')}が保存できる容量（1つのリストあたり約${Math.floor(SYNC_QUOTA_BYTES_PER_ITEM / 1024)}KB）を超えています。語句を減らすか、正規表現でまとめてください`, true);
+      return;
+    }
+    const otherBytes = await chrome.storage.sync.getBytesInUse(null) -
+      await chrome.storage.sync.getBytesInUse(Object.keys(currentSettings));
+    if (otherBytes + Object.entries(currentSettings).reduce((sum, [key, value]) => sum + syncItemBytes(key, value), 0) > SYNC_QUOTA_BYTES) {
+      showSaveStatus(`設定全体が保存できる容量（約${Math.floor(SYNC_QUOTA_BYTES / 1024)}KB）を超えています。許可リスト・拒否リスト・カスタムパターンを減らしてください`, true);
+      return;
+    }
 
     await chrome.storage.sync.set(currentSettings);
 
@@ -161,7 +794,11 @@ async function saveSettings() {
       settings: currentSettings
     });
 
-    showSaveStatus('保存しました');
+    if (permitted) {
+      showSaveStatus('保存しました');
+    } else {
+      showSaveStatus('保存しました（追加サイトの権限が許可されていないため、一部のサイトでは動作しません）', true);
+    }
   } catch (error) {
     console.error('設定の保存に失敗:', error);
     showSaveStatus('保存に失敗しました', true);
@@ -185,7 +822,9 @@ function showSaveStatus(message, isError = false) {
  */
 function openModal(isEdit = false, index = -1) {
   editingPatternIndex = index;
+  editingBuiltinPattern = null;
   modalTitle.textContent = isEdit ? 'カスタムパターンを編集' : 'カスタムパターンを追加';
+  setPatternFieldsDisabled(false);
 
   if (isEdit && index >= 0) {
     const pattern = currentSettings.customPatterns[index];
@@ -193,13 +832,80 @@ function openModal(isEdit = false, index = -1) {
     patternLabel.value = pattern.label;
     patternRegex.value = pattern.regex;
     patternDescription.value = pattern.description;
+    fillRuleFields(pattern);
   } else {
     patternKey.value = '';
     patternLabel.value = '';
     patternRegex.value = '';
     patternDescription.value = '';
+    fillRuleFields({});
   }
 
+  openPatternModal();
+}
+
+/**
+ * 組み込みパターンの追加条件を編集するモーダルを開く
+ * 正規表現などは変更できないため、表示のみ行う
+ */
+function openRuleModal(key) {
+  const pattern = new MaskingEngine().patterns[key];
+  if (!pattern) return;
+
+  editingPatternIndex = -1;
+  editingBuiltinPattern = key;
+  modalTitle.textContent = `${pattern.description}の検知条件`;
+  setPatternFieldsDisabled(true);
+
+  patternKey.value = key;
+  patternLabel.value = pattern.label;
+  patternRegex.value = pattern.detect ? '（辞書で検知）' : pattern.regex.source;
+  patternDescription.value = pattern.description;
+  fillRuleFields({ ...MaskingEngine.pickRules(pattern), ...currentSettings.patternRules[key] });
+
+  openPatternModal();
+}
+
+/**
+ * パターン名・ラベル・正規表現・説明の入力可否を切り替え
+ */
+function setPatternFieldsDisabled(disabled) {
+  for (const field of [patternKey, patternLabel, patternRegex, patternDescription]) {
+    field.disabled = disabled;
+  }
+}
+
+/**
+ * 追加条件を入力欄に反映
+ */
+function fillRuleFields(rules) {
+  patternContextKeywords.value = (rules.contextKeywords || []).join(', ');
+  patternExcludeKeywords.value = (rules.excludeKeywords || []).join(', ');
+  patternContextWindow.value = rules.contextWindow ?? '';
+  patternMinLength.value = rules.minLength ?? '';
+  patternMaxLength.value = rules.maxLength ?? '';
+  patternValidator.value = rules.validator || '';
+}
+
+/**
+ * 入力欄から追加条件を取得（未入力の項目は含めない）
+ */
+function readRuleFields() {
+  const toNumber = (input) => (input.value === '' ? undefined : Number(input.value));
+  return MaskingEngine.pickRules({
+    contextKeywords: SiteAdapterRegistry.parseList(patternContextKeywords.value),
+    excludeKeywords: SiteAdapterRegistry.parseList(patternExcludeKeywords.value),
+    contextWindow: toNumber(patternContextWindow),
+    minLength: toNumber(patternMinLength),
+    maxLength: toNumber(patternMaxLength),
+    validator: patternValidator.value
+  });
+}
+
+/**
+ * パターンモーダルのテスト欄を初期化して表示
+ */
+function openPatternModal() {
   patternTest.value = '';
   testResult.textContent = '';
   testResult.className = 'test-result';
@@ -213,6 +919,7 @@ function openModal(isEdit = false, index = -1) {
 function closeModal() {
   patternModal.classList.remove('show');
   editingPatternIndex = -1;
+  editingBuiltinPattern = null;
 }
 
 /**
@@ -236,6 +943,24 @@ function deletePattern(index) {
  * パターンを保存
  */
 function savePattern() {
+  const rules = readRuleFields();
+  if (rules.minLength && rules.maxLength && rules.minLength > rules.maxLength) {
+    alert('最小の長さは最大の長さ以下にしてください');
+    return;
+  }
+
+  // 組み込みパターンは追加条件のみ保存
+  if (editingBuiltinPattern) {
+    if (Object.keys(rules).length > 0) {
+      currentSettings.patternRules[editingBuiltinPattern] = rules;
+    } else {
+      delete currentSettings.patternRules[editingBuiltinPattern];
+    }
+    renderDefaultPatterns();
+    closeModal();
+    return;
+  }
+
   const key = patternKey.value.trim();
   const label = patternLabel.value.trim();
   const regex = patternRegex.value.trim();
@@ -264,7 +989,7 @@ function savePattern() {
     return;
   }
 
-  const pattern = { key, label, regex, description };
+  const pattern = { key, label, regex, description, ...rules };
 
   if (editingPatternIndex >= 0) {
     currentSettings.customPatterns[editingPatternIndex] = pattern;
@@ -277,7 +1002,7 @@ function savePattern() {
 }
 
 /**
- * パターンをテスト
+ * パターンをテスト（追加条件も含めてエンジンで判定）
  */
 function testPattern() {
   const regex = patternRegex.value.trim();
@@ -290,10 +1015,18 @@ function testPattern() {
   }
 
   try {
-    const re = new RegExp(regex, 'g');
-    const matches = testText.match(re);
+    const engine = new MaskingEngine();
+    const rules = readRuleFields();
+    let key = editingBuiltinPattern;
+    if (key) {
+      Object.assign(engine.patterns[key], rules);
+    } else {
+      key = 'test';
+      engine.addCustomPattern(key, new RegExp(regex, 'g'), 'Test', '', rules);
+    }
+    const matches = engine.findSpans(testText, [key]).map((span) => span.text);
 
-    if (matches && matches.length > 0) {
+    if (matches.length > 0) {
       testResult.textContent = `✓ ${matches.length}件マッチ: ${matches.join(', ')}`;
       testResult.className = 'test-result success';
     } else {
@@ -310,6 +1043,7 @@ function testPattern() {
  * 設定をエクスポート
  */
 async function exportSettings() {
+  readTermLists();
   const data = JSON.stringify(currentSettings, null, 2);
   const blob = new Blob([data], { type: 'application/json' });
   const url = URL.createObjectURL(blob);
@@ -352,15 +1086,74 @@ async function handleImport(event) {
     if (Array.isArray(imported.customPatterns)) {
       currentSettings.customPatterns = imported.customPatterns;
     }
+    if (imported.patternRules && typeof imported.patternRules === 'object') {
+      currentSettings.patternRules = imported.patternRules;
+    }
     if (typeof imported.autoMask === 'boolean') {
       currentSettings.autoMask = imported.autoMask;
+      currentSettings.sendGuardPolicy = imported.autoMask ? 'mask' : 'confirm';
+    }
+    if (SEND_GUARD_POLICIES.includes(imported.sendGuardPolicy)) {
+      currentSettings.sendGuardPolicy = imported.sendGuardPolicy;
+    }
+    if (typeof imported.autoRestoreResponses === 'boolean') {
+      currentSettings.autoRestoreResponses = imported.autoRestoreResponses;
     }
     if (typeof imported.showNotifications === 'boolean') {
       currentSettings.showNotifications = imported.showNotifications;
     }
+    if (['alpha', 'numeric', 'token'].includes(imported.labelScheme)) {
+      currentSettings.labelScheme = imported.labelScheme;
+    }
+    if (['label', 'surrogate'].includes(imported.replacementMode)) {
+      currentSettings.replacementMode = imported.replacementMode;
+    }
+    if (typeof imported.structuredMasking === 'boolean') {
+      currentSettings.structuredMasking = imported.structuredMasking;
+    }
+    if (Array.isArray(imported.structuredFields)) {
+      currentSettings.structuredFields = imported.structuredFields.filter((field) => typeof field === 'string' && field);
+    }
+    if (imported.maskingStrategies && typeof imported.maskingStrategies === 'object') {
+      currentSettings.maskingStrategies = Object.fromEntries(
+        Object.entries(imported.maskingStrategies).filter(([, strategy]) => strategy in MaskingEngine.STRATEGIES)
+      );
+    }
+    if (Number.isInteger(imported.autoLockMinutes) && imported.autoLockMinutes >= 0) {
+      currentSettings.autoLockMinutes = imported.autoLockMinutes;
+    }
+    if (Number.isInteger(imported.retentionMaxCount) && imported.retentionMaxCount > 0) {
+      currentSettings.retentionMaxCount = imported.retentionMaxCount;
+    }
+    if (Number.isInteger(imported.retentionMaxDays) && imported.retentionMaxDays >= 0) {
+      currentSettings.retentionMaxDays = imported.retentionMaxDays;
+    }
+    if (typeof imported.retentionClearOnClose === 'boolean') {
+      currentSettings.retentionClearOnClose = imported.retentionClearOnClose;
+    }
+    if (Array.isArray(imported.enabledSites)) {
+      currentSettings.enabledSites = imported.enabledSites;
+    }
+    if (Array.isArray(imported.customSites)) {
+      currentSettings.customSites = imported.customSites;
+    }
+    if (Array.isArray(imported.allowlist)) {
+      currentSettings.allowlist = mergeTermEntries(imported.allowlist);
+    }
+    if (Array.isArray(imported.denylist)) {
+      currentSettings.denylist = mergeTermEntries(imported.denylist);
+    }
+    if (Array.isArray(imported.ignoredTerms)) {
+      currentSettings.allowlist = mergeTermEntries(
+        currentSettings.allowlist,
+        imported.ignoredTerms.map((term) => ({ term, match: 'exact' }))
+      );
+    }
 
     renderDefaultPatterns();
     renderCustomPatterns();
+    renderSites();
+    renderTermLists();
     renderOtherSettings();
 
     showSaveStatus('インポートしました（保存ボタンで確定）');
@@ -381,17 +1174,49 @@ async function resetSettings() {
   currentSettings = {
     disabledPatterns: [],
     customPatterns: [],
+    patternRules: {},
     autoMask: true,
-    showNotifications: true
+    sendGuardPolicy: 'mask',
+    autoRestoreResponses: true,
+    showNotifications: true,
+    labelScheme: 'alpha',
+    replacementMode: 'label',
+    maskingStrategies: {},
+    structuredMasking: true,
+    structuredFields: [],
+    autoLockMinutes: 15,
+    ...MappingVault.RETENTION_DEFAULTS,
+    enabledSites: [],
+    customSites: [],
+    ignoredTerms: [],
+    allowlist: [],
+    denylist: []
   };
 
   renderDefaultPatterns();
   renderCustomPatterns();
+  renderSites();
+  renderTermLists();
   renderOtherSettings();
 
   showSaveStatus('リセットしました（保存ボタンで確定）');
 }
 
+/**
+ * 保存済みの対応表をすべて削除
+ */
+async function clearSavedMappings() {
+  if (!confirm('保存済みの対応表をすべて削除しますか？\nパスフレーズの設定も破棄され、元に戻すことはできません。')) return;
+
+  try {
+    const count = await MappingVault.clear();
+    showSaveStatus(`保存済みの対応表を削除しました（${count}件）`);
+  } catch (error) {
+    console.error('対応表の削除に失敗:', error);
+    showSaveStatus('対応表の削除に失敗しました', true);
+  }
+}
+
 /**
  * ページを閉じる
  */
@@ -409,12 +1234,29 @@ async function closePage() {
 }
 
 /**
- * HTMLエスケープ
+ * chrome.storage.sync で1項目が使う容量（キーとJSONにした値のバイト数）
+ */
+function syncItemBytes(key, value) {
+  return new TextEncoder().encode(key + JSON.stringify(value)).length;
+}
+
+/**
+ * chrome.storage.sync の1項目あたりの上限を超える許可リスト・拒否リスト
+ * @return {Array<string>} 上限を超えるリストの表示名
+ */
+function findOversizedTermLists() {
+  return [['allowlist', '許可リスト'], ['denylist', '拒否リスト']]
+    .filter(([key]) => syncItemBytes(key, currentSettings[key]) > SYNC_QUOTA_BYTES_PER_ITEM)
+    .map(([, name]) => name);
+}
+
+/**
+ * HTMLエスケープ（属性値にも使うため " もエスケープ）
  */
 function escapeHtml(text) {
   const div = document.createElement('div');
   div.textContent = text;
-  return div.innerHTML;
+  return div.innerHTML.replace(/"/g, '&quot;');
 }
 
 /**
@@ -431,12 +1273,38 @@ function init() {
   savePatternBtn.addEventListener('click', savePattern);
   patternRegex.addEventListener('input', testPattern);
   patternTest.addEventListener('input', testPattern);
+  for (const field of [patternContextKeywords, patternExcludeKeywords, patternContextWindow, patternMinLength, patternMaxLength, patternValidator]) {
+    field.addEventListener('input', testPattern);
+  }
+  defaultPatterns.addEventListener('change', handleStrategyChange);
+  customPatterns.addEventListener('change', handleStrategyChange);
+  defaultPatterns.addEventListener('click', (e) => {
+    const ruleBtn = e.target.closest('.pattern-rule-btn');
+    if (!ruleBtn) return;
+    // ラベル内のボタンのため、チェックボックスが切り替わらないようにする
+    e.preventDefault();
+    openRuleModal(ruleBtn.dataset.key);
+  });
   exportBtn.addEventListener('click', exportSettings);
   importBtn.addEventListener('click', importSettings);
   importInput.addEventListener('change', handleImport);
   resetBtn.addEventListener('click', resetSettings);
+  clearMappingsBtn.addEventListener('click', clearSavedMappings);
+  manageMappingsBtn.addEventListener('click', () => {
+    chrome.tabs.create({ url: chrome.runtime.getURL('mappings/index.html') });
+  });
   saveBtn.addEventListener('click', saveSettings);
   closePageBtn.addEventListener('click', closePage);
+  addSiteBtn.addEventListener('click', () => openSiteModal());
+  closeSiteModalBtn.addEventListener('click', closeSiteModal);
+  cancelSiteModalBtn.addEventListener('click', closeSiteModal);
+  saveSiteBtn.addEventListener('click', saveSite);
+  document.querySelectorAll('.add-term-btn').forEach((btn) => btn.addEventListener('click', handleTermListClick));
+  allowlist.addEventListener('click', handleTermListClick);
+  denylist.addEventListener('click', handleTermListClick);
+  importTermsBtn.addEventListener('click', () => importTermsInput.click());
+  importTermsInput.addEventListener('change', handleTermImport);
+  exportTermsBtn.addEventListener('click', exportTermLists);
 
   // モーダル外クリックで閉じる
   patternModal.addEventListener('click', (e) => {
@@ -444,6 +1312,11 @@ function init() {
       closeModal();
     }
   });
+  siteModal.addEventListener('click', (e) => {
+    if (e.target === siteModal) {
+      closeSiteModal();
+    }
+  });
 }
 
 // DOMContentLoadedで初期化
@@ -5,9 +5,11 @@
 // DOM要素
 const enableToggle = document.getElementById('enableToggle');
 const statusText = document.getElementById('statusText');
+const policyNote = document.getElementById('policyNote');
 const pageStatus = document.getElementById('pageStatus');
 const openSidePanelBtn = document.getElementById('openSidePanelBtn');
 const settingsBtn = document.getElementById('settingsBtn');
+const dashboardBtn = document.getElementById('dashboardBtn');
 const todayCount = document.getElementById('todayCount');
 const protectedCount = document.getElementById('protectedCount');
 
@@ -36,6 +38,15 @@ function updateStatusDisplay(enabled) {
   statusText.className = 'status-text ' + (enabled ? 'active' : 'inactive');
 }
 
+/**
+ * 管理ポリシーで有効状態が固定されている場合はトグルを操作できなくする
+ */
+function setEnabledLocked(locked) {
+  enableToggle.disabled = locked;
+  enableToggle.closest('.toggle-section').classList.toggle('locked', locked);
+  policyNote.hidden = !locked;
+}
+
 /**
  * 現在のページの状態を確認
  */
@@ -48,13 +59,13 @@ async function checkPageStatus() {
       return;
     }
 
-    const isClaudeAi = tab.url.includes('claude.ai');
-    const isChatGPT = tab.url.includes('chat.openai.com');
+    const settings = await ManagedPolicy.getSettings(['enabledSites', 'customSites']);
+    const adapter = SiteAdapterRegistry.fromSettings(settings).findByUrl(tab.url);
 
-    if (isClaudeAi) {
-      setPageStatusSupported('Claude.aiで利用可能');
-    } else if (isChatGPT) {
-      setPageStatusSupported('ChatGPTで利用可能');
+    if (adapter && ManagedPolicy.isBlockedSite(new URL(tab.url).hostname, settings.blockedSites)) {
+      setPageStatusUnsupported('組織のポリシーにより送信が禁止されています');
+    } else if (adapter) {
+      setPageStatusSupported(`${adapter.name}で利用可能`);
     } else {
       setPageStatusUnsupported('このページでは利用できません');
     }
@@ -74,8 +85,10 @@ function setPageStatusSupported(message) {
         <polyline points="22 4 12 14.01 9 11.01"/>
       </svg>
     </div>
-    <span class="status-message">${message}</span>
+    <span class="status-message"></span>
   `;
+  // サイト名は設定画面で自由に入力できるためテキストとして設定
+  pageStatus.querySelector('.status-message').textContent = message;
 }
 
 /**
@@ -124,6 +137,14 @@ function openSettings() {
   window.close();
 }
 
+/**
+ * 統計ダッシュボードを開く
+ */
+function openDashboard() {
+  chrome.tabs.create({ url: chrome.runtime.getURL('dashboard/index.html') });
+  window.close();
+}
+
 /**
  * 統計を読み込む
  */
@@ -131,8 +152,8 @@ async function loadStats() {
   try {
     const { stats = {} } = await chrome.storage.local.get('stats');
 
-    // 今日の日付を取得
-    const today = new Date().toISOString().split('T')[0];
+    // 今日の日付を取得（統計はローカル時刻の日付で記録）
+    const today = UsageStats.dateKey();
 
     // 今日のマスキング数
     const todayStats = stats[today] || { maskingCount: 0, protectedItems: 0 };
@@ -152,6 +173,7 @@ async function init() {
     const response = await chrome.runtime.sendMessage({ type: 'GET_ENABLED_STATE' });
     if (response?.success) {
       updateStatusDisplay(response.isEnabled);
+      setEnabledLocked(Boolean(response.locked));
     }
   } catch (error) {
     console.error('状態の読み込みに失敗:', error);
@@ -170,6 +192,7 @@ async function init() {
 
   openSidePanelBtn.addEventListener('click', openSidePanel);
   settingsBtn.addEventListener('click', openSettings);
+  dashboardBtn.addEventListener('click', openDashboard);
 }
 
 // DOMContentLoadedで初期化
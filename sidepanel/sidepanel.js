@@ -11,6 +11,7 @@ const clearBtn = document.getElementById('clearBtn');
 const decryptBtn = document.getElementById('decryptBtn');
 const settingsBtn = document.getElementById('settingsBtn');
 const toast = document.getElementById('toast');
+const formatBadge = document.getElementById('formatBadge');
 
 // 新しいDOM要素
 const darkModeBtn = document.getElementById('darkModeBtn');
@@ -24,15 +25,50 @@ const mappingStatus = document.getElementById('mappingStatus');
 const mappingSelect = document.getElementById('mappingSelect');
 const saveMappingBtn = document.getElementById('saveMappingBtn');
 const deleteMappingBtn = document.getElementById('deleteMappingBtn');
+const manageMappingsBtn = document.getElementById('manageMappingsBtn');
 
 // モーダルDOM要素
 const mappingModal = document.getElementById('mappingModal');
 const mappingList = document.getElementById('mappingList');
 const closeModalBtn = document.getElementById('closeModalBtn');
+const resetSessionBtn = document.getElementById('resetSessionBtn');
+
+// 保管庫DOM要素
+const vaultLockBtn = document.getElementById('vaultLockBtn');
+const vaultModal = document.getElementById('vaultModal');
+const vaultForm = document.getElementById('vaultForm');
+const vaultModalTitle = document.getElementById('vaultModalTitle');
+const vaultDescription = document.getElementById('vaultDescription');
+const vaultPassphrase = document.getElementById('vaultPassphrase');
+const vaultPassphraseConfirm = document.getElementById('vaultPassphraseConfirm');
+const vaultError = document.getElementById('vaultError');
+const vaultSubmitBtn = document.getElementById('vaultSubmitBtn');
+const closeVaultModalBtn = document.getElementById('closeVaultModalBtn');
+
+// 検知結果の確認DOM要素
+const reviewList = document.getElementById('reviewList');
+const markSelectionBtn = document.getElementById('markSelectionBtn');
+
+// 復号化の確認DOM要素
+const decryptReport = document.getElementById('decryptReport');
+const decryptReportList = document.getElementById('decryptReportList');
+const closeDecryptReportBtn = document.getElementById('closeDecryptReportBtn');
 
 // 現在のマッピング名（保存済みの場合）
 let currentMappingName = null;
 
+// 復号済みの保存済み対応表（ロック中は空）
+let savedMappingCache = [];
+
+// 保存済み対応表の保存期間の設定
+let retentionPolicy = MappingVault.RETENTION_DEFAULTS;
+
+// ロック解除モーダルの結果を受け取る関数
+let resolveVaultModal = null;
+
+// ロック中に選択肢として表示する値
+const LOCKED_OPTION = '__locked__';
+
 // 文字サイズ設定
 const fontSizes = ['small', 'medium', 'large', 'xlarge'];
 const fontSizeLabels = { small: '小', medium: '中', large: '大', xlarge: '特大' };
@@ -47,7 +83,14 @@ const statElements = {
   phone: document.getElementById('statPhone'),
   email: document.getElementById('statEmail'),
   address: document.getElementById('statAddress'),
-  company: document.getElementById('statCompany')
+  company: document.getElementById('statCompany'),
+  number: document.getElementById('statNumber')
+};
+
+// 複数のパターンをまとめて表示する統計項目
+const statGroups = {
+  address: ['address', 'postalCode'],
+  number: ['myNumber', 'corporateNumber', 'creditCard', 'bankAccount', 'driversLicense', 'passport']
 };
 
 // マスキングエンジンのインスタンス
@@ -56,33 +99,56 @@ const maskingEngine = new MaskingEngine();
 // 現在のマッピングテーブル（復元用）
 let currentMappingTable = new Map();
 
+// アクティブなタブの会話セッション（プロンプトをまたいでラベルを維持）
+let currentSession = new MaskingSession('default');
+
 // デバウンス用タイマー
 let debounceTimer = null;
 
+// 検知結果の確認での判断（位置ではなく文字列で保持し、入力を編集しても維持する）
+const review = {
+  rejected: new Map(), // チェックを外した検知: 元のテキスト → 種類の説明
+  manual: []           // 手動で指定した範囲: { term, type }
+};
+
+// 確からしさがこれ未満の検知は確認を促す表示にする
+const LOW_CONFIDENCE = 0.7;
+
 /**
- * テキストをマスキングして表示
+ * テキストをマスキングして表示（セッションには確定しないプレビュー）
  */
 function performMasking() {
   const text = originalText.value;
+  hideDecryptReport();
 
   if (!text.trim()) {
     maskedText.value = '';
     updateStats({});
-    currentMappingTable = new Map();
+    renderReviewList([]);
+    updateFormatBadge(null);
+    currentMappingTable = new Map(currentSession.mappingTable);
     currentMappingName = null;
     updateMappingStatus();
     return;
   }
 
-  const result = maskingEngine.mask(text);
+  // 入力途中のテキストでセッションを汚さないよう複製に対して実行（確定は commitMasking()）
+  const result = maskingEngine.mask(text, {
+    session: currentSession.clone(),
+    ignore: [...review.rejected.keys()],
+    include: review.manual
+  });
   maskedText.value = result.maskedText;
+  updateFormatBadge(result.format);
   currentMappingTable = result.mappingTable;
   currentMappingName = null; // 新規マスキングなので名前をリセット
+  mappingSelect.value = '';
   updateMappingStatus();
 
-  // 統計を更新
+  // 統計と確認リストを更新
   const stats = maskingEngine.getStatistics(result.detections);
   updateStats(stats);
+  renderReviewList(result.detections);
 
   // コンテンツスクリプトに通知
   notifyContentScript({
@@ -92,6 +158,112 @@ function performMasking() {
   });
 }
 
+/**
+ * 構造を保ってマスキングした形式を表示
+ * @param {string|null} format - mask()の結果の format
+ */
+function updateFormatBadge(format) {
+  formatBadge.textContent = format ? `${StructuredText.FORMATS[format]}として処理` : '';
+  formatBadge.classList.toggle('hidden', !format);
+}
+
+/**
+ * 検知結果の確認リストを描画
+ * 同じ文字列は1行にまとめ、チェックを外したものも再度選べるよう残す
+ * @param {Array} detections - mask()の検知結果
+ */
+function renderReviewList(detections) {
+  const items = [];
+  for (const detection of detections) {
+    if (!items.some((item) => item.original === detection.original)) {
+      items.push(detection);
+    }
+  }
+
+  const accepted = items.map((detection) => {
+    const confidence = Math.round((detection.confidence ?? 0) * 100);
+    const isLow = (detection.confidence ?? 0) < LOW_CONFIDENCE;
+    return `
+      <li class="review-item">
+        <input type="checkbox" checked data-original="${escapeHtml(detection.original)}"
+          data-description="${escapeHtml(detection.description)}" data-manual="${detection.manual}">
+        <div class="review-body">
+          <div class="review-main">
+            <span class="review-original">${escapeHtml(detection.original)}</span>
+            <span class="review-masked">→ ${escapeHtml(detection.masked)}</span>
+            ${detection.manual ? '<span class="review-manual">手動</span>' : ''}
+            <span class="review-confidence ${isLow ? 'low' : ''}" title="確からしさ">${confidence}%</span>
+          </div>
+          <span class="review-reason">${escapeHtml(detection.description)}：${escapeHtml(detection.reason || '')}</span>
+        </div>
+      </li>
+    `;
+  });
+
+  const rejected = [...review.rejected].map(([original, description]) => `
+      <li class="review-item rejected">
+        <input type="checkbox" data-original="${escapeHtml(original)}" data-manual="false">
+        <div class="review-body">
+          <div class="review-main">
+            <span class="review-original">${escapeHtml(original)}</span>
+          </div>
+          <span class="review-reason">${escapeHtml(description)}：マスキングしない</span>
+        </div>
+      </li>
+    `);
+
+  reviewList.innerHTML = accepted.length + rejected.length > 0
+    ? [...accepted, ...rejected].join('')
+    : '<li class="review-empty">検知された個人情報はありません</li>';
+}
+
+/**
+ * 確認リストのチェックの切り替え
+ */
+function handleReviewChange(e) {
+  const checkbox = e.target.closest('input[type="checkbox"]');
+  if (!checkbox) return;
+
+  const original = checkbox.dataset.original;
+  if (checkbox.checked) {
+    review.rejected.delete(original);
+  } else if (checkbox.dataset.manual === 'true') {
+    // 手動で指定したものは指定自体を取り消す
+    review.manual = review.manual.filter((entry) => entry.term !== original);
+  } else {
+    review.rejected.set(original, checkbox.dataset.description);
+  }
+
+  performMasking();
+}
+
+/**
+ * 入力欄で選択した範囲を個人情報としてマスク
+ */
+function markSelection() {
+  const term = originalText.value.slice(originalText.selectionStart, originalText.selectionEnd).trim();
+  if (!term) {
+    showToast('入力欄でマスクする範囲を選択してください', 'warning');
+    return;
+  }
+
+  review.rejected.delete(term);
+  if (!review.manual.some((entry) => entry.term === term)) {
+    review.manual.push({ term, type: 'manual' });
+  }
+
+  performMasking();
+  showToast(`「${term}」をマスクしました`, 'success');
+}
+
+/**
+ * 確認リストでの判断をリセット
+ */
+function resetReview() {
+  review.rejected.clear();
+  review.manual = [];
+}
+
 /**
  * マッピング状態表示を更新
  */
@@ -104,9 +276,11 @@ function updateMappingStatus() {
     mappingBar.classList.add('active');
     statusIcon.textContent = '🔐';
     if (currentMappingName) {
-      statusText.textContent = `${currentMappingName} (${count}件)`;
+      const mapping = savedMappingCache.find(m => m.id === mappingSelect.value);
+      const expiry = mapping ? formatExpiry(mapping) : '';
+      statusText.textContent = `${currentMappingName} (${count}件${expiry ? `・${expiry}` : ''})`;
     } else {
-      statusText.textContent = `対応表あり (${count}件)`;
+      statusText.textContent = `この会話の対応表 (${count}件)`;
     }
   } else {
     mappingBar.classList.remove('active');
@@ -150,12 +324,109 @@ function hideMappingModal() {
 }
 
 /**
- * HTMLエスケープ
+ * アクティブなタブの会話セッションを読み込む
+ */
+async function loadSessionForActiveTab() {
+  try {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    const key = tab?.url ? MaskingSession.keyFromUrl(tab.url) : 'default';
+
+    if (key === currentSession.id) return;
+
+    // 「新しいチャット」で始めた会話は、会話IDが付いたURLへ引き継ぐ
+    // セッションの保存はバックグラウンドの書き込みと重ならないよう、バックグラウンドに任せる
+    const response = await chrome.runtime.sendMessage({ type: 'CARRY_OVER_SESSION', from: currentSession.id, to: key });
+    if (!response?.success) {
+      throw new Error(response?.error || 'セッションの引き継ぎに失敗しました');
+    }
+
+    currentSession = await MaskingSession.load(key);
+    currentMappingTable = new Map(currentSession.mappingTable);
+    currentMappingName = null;
+    mappingSelect.value = '';
+    updateMappingStatus();
+  } catch (error) {
+    console.error('セッションの読み込みに失敗:', error);
+  }
+}
+
+/**
+ * 入力中のテキストのマスキングを会話セッションに確定
+ * 送信前チェック・入力欄での個別マスキングと同時に更新してもラベルが重複しないよう、
+ * 確定と利用状況の記録はバックグラウンドでまとめて行い、結果のセッションを読み込み直す
+ * @return {Promise<boolean>} 確定できたかどうか
+ */
+async function commitMasking() {
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: 'MASK_TEXT',
+      text: originalText.value,
+      url: currentSession.id,
+      ignore: [...review.rejected.keys()],
+      include: review.manual
+    });
+    if (!response?.success) {
+      throw new Error(response?.error || 'マスキングに失敗しました');
+    }
+    currentSession = await MaskingSession.load(currentSession.id);
+    return true;
+  } catch (error) {
+    console.error('セッションの保存に失敗:', error);
+    return false;
+  } finally {
+    // 確定したセッションのラベルで表示を作り直す
+    performMasking();
+  }
+}
+
+/**
+ * 他の画面（送信前チェック等）で更新されたセッションを取り込む
+ */
+function handleSessionStorageChange(changes, areaName) {
+  if (areaName !== 'session' || !changes.maskingSessions) return;
+
+  const data = changes.maskingSessions.newValue?.[currentSession.id];
+  if (!data || data.updatedAt === currentSession.updatedAt) return;
+
+  currentSession = MaskingSession.fromJSON(data);
+  // 保存済みの対応表を選択中でなければ表示も更新
+  if (!mappingSelect.value) {
+    currentMappingTable = new Map(currentSession.mappingTable);
+    updateMappingStatus();
+  }
+}
+
+/**
+ * 現在の会話セッションを破棄
+ */
+async function resetSession() {
+  if (!confirm('この会話で蓄積した対応表を破棄しますか？\n以前のAIの返答は復号化できなくなります。')) return;
+
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'RESET_SESSION', key: currentSession.id });
+    if (!response?.success) {
+      throw new Error(response?.error || 'セッションの破棄に失敗しました');
+    }
+    currentSession = new MaskingSession(currentSession.id);
+    currentMappingTable = new Map();
+    currentMappingName = null;
+    mappingSelect.value = '';
+    updateMappingStatus();
+    hideMappingModal();
+    showToast('この会話の対応表を破棄しました', 'success');
+  } catch (error) {
+    console.error('セッション破棄エラー:', error);
+    showToast('破棄に失敗しました', 'error');
+  }
+}
+
+/**
+ * HTMLエスケープ（属性値にも使うため " もエスケープ）
  */
 function escapeHtml(text) {
   const div = document.createElement('div');
   div.textContent = text;
-  return div.innerHTML;
+  return div.innerHTML.replace(/"/g, '&quot;');
 }
 
 /**
@@ -171,7 +442,7 @@ function updateStats(stats) {
   };
 
   for (const [key, element] of Object.entries(statElements)) {
-    const count = stats[key]?.count || 0;
+    const count = (statGroups[key] || [key]).reduce((sum, type) => sum + (stats[type]?.count || 0), 0);
     const countSpan = element.querySelector('.stat-count');
     countSpan.textContent = count;
 
@@ -240,8 +511,11 @@ async function maskAndSave() {
     return;
   }
 
-  // マスキング実行
-  performMasking();
+  // マスキング実行（会話セッションに確定）
+  if (!(await commitMasking())) {
+    showToast('会話の対応表に保存できませんでした', 'error');
+    return;
+  }
 
   // 対応表がある場合は名前を入力して保存
   if (currentMappingTable.size > 0) {
@@ -267,20 +541,14 @@ async function maskAndSave() {
 
     const name = inputName.trim() || defaultName;
 
-    // 保存処理
+    // 保存処理（暗号化のためロック解除が必要）
+    if (!(await requestUnlock())) {
+      showToast('ロックを解除しなかったため保存しませんでした', 'warning');
+      return;
+    }
+
     try {
-      const { savedMappings = [] } = await chrome.storage.local.get('savedMappings');
-
-      const newMapping = {
-        id: Date.now().toString(),
-        name: name,
-        createdAt: new Date().toISOString(),
-        mappingTable: Object.fromEntries(currentMappingTable),
-        itemCount: currentMappingTable.size
-      };
-
-      const updatedMappings = [newMapping, ...savedMappings].slice(0, 10);
-      await chrome.storage.local.set({ savedMappings: updatedMappings });
+      const newMapping = await MappingVault.add({ name, mappingTable: currentMappingTable });
       await loadSavedMappings();
 
       mappingSelect.value = newMapping.id;
@@ -300,13 +568,18 @@ async function maskAndSave() {
 }
 
 /**
- * テキストをクリア
+ * テキストをクリア（会話セッションの対応表は維持）
  */
 function clearText() {
   originalText.value = '';
   maskedText.value = '';
-  currentMappingTable = new Map();
+  resetReview();
+  renderReviewList([]);
+  hideDecryptReport();
+  updateFormatBadge(null);
+  currentMappingTable = new Map(currentSession.mappingTable);
   currentMappingName = null;
+  mappingSelect.value = '';
   updateStats({});
   updateMappingStatus();
   showToast('クリアしました', 'success');
@@ -331,7 +604,7 @@ function restoreText() {
  */
 async function decryptAIResponse() {
   if (currentMappingTable.size === 0) {
-    showToast('対応表がありません。保存済みの対応表を選択してください', 'warning');
+    showToast('対応表がありません。マスキングを実行するか、保存済みの対応表を選択してください', 'warning');
     return;
   }
 
@@ -343,18 +616,82 @@ async function decryptAIResponse() {
     return;
   }
 
-  // 復号化を実行
-  const restored = maskingEngine.restore(textToDecrypt, currentMappingTable);
+  // 復号化を実行（AIが書き換えた表記のラベルも対象）
+  const report = maskingEngine.restoreWithReport(textToDecrypt, currentMappingTable);
 
-  // 結果が変わったかチェック
-  if (restored === textToDecrypt) {
+  if (report.found.length === 0 && report.unexpected.length === 0 && report.leaked.length === 0) {
+    hideDecryptReport();
     showToast('復号化対象のマスク（[Person_A]等）が見つかりませんでした', 'warning');
     return;
   }
 
-  // 右側に出力
-  maskedText.value = restored;
-  showToast('復号化しました', 'success');
+  // 右側に出力（対応表にないラベル・元の値だけの場合も確認を表示する）
+  maskedText.value = report.restoredText;
+  updateFormatBadge(null);
+  renderDecryptReport(report);
+  if (report.leaked.length > 0) {
+    showToast('復号化しました（元の値がそのまま含まれています）', 'error');
+  } else if (report.found.length === 0) {
+    showToast('対応表にあるラベルが見つかりませんでした（対応表にないラベルがあります）', 'warning');
+  } else if (report.unexpected.length > 0) {
+    showToast('復号化しました（対応表にないラベルがあります）', 'warning');
+  } else {
+    showToast('復号化しました', 'success');
+  }
+}
+
+/**
+ * 復号化の確認を描画
+ * 対応表にないラベル（AIが作ったもの）・返答で使われなかったラベル・
+ * そのまま含まれていた元の値（漏えいの可能性）を表示する
+ * @param {Object} report - restoreWithReport()の結果
+ */
+function renderDecryptReport(report) {
+  const values = (items) => items.map((item) => `<span class="report-value">${escapeHtml(item)}</span>`).join('');
+  const section = (className, title, hint, items) => `
+      <li class="review-item report-item ${className}">
+        <div class="review-body">
+          <div class="review-main">
+            <span class="review-original">${title}（${items.length}件）</span>
+          </div>
+          <span class="review-reason">${hint}</span>
+          <div class="report-values">${values(items)}</div>
+        </div>
+      </li>
+    `;
+
+  const sections = [];
+  if (report.leaked.length > 0) {
+    sections.push(section('leaked', '元の値がそのまま含まれています',
+      'マスキングされずに送信されたか、AIが推測した可能性があります',
+      report.leaked.map(({ label, original }) => `${original}（${label}）`)));
+  }
+  if (report.unexpected.length > 0) {
+    sections.push(section('unexpected', '対応表にないラベル',
+      'AIが作った・書き換えたラベルのため、復号化していません', report.unexpected));
+  }
+  if (report.missing.length > 0) {
+    sections.push(section('missing', '返答で使われなかったラベル',
+      '対応表にあり、返答に含まれていなかったラベルです', report.missing));
+  }
+  if (sections.length === 0) {
+    sections.push(`
+      <li class="review-item report-item ok">
+        <span class="review-original">対応表のすべてのラベルを復号化しました</span>
+      </li>
+    `);
+  }
+
+  decryptReportList.innerHTML = sections.join('');
+  decryptReport.classList.remove('hidden');
+}
+
+/**
+ * 復号化の確認を閉じる
+ */
+function hideDecryptReport() {
+  decryptReport.classList.add('hidden');
+  decryptReportList.innerHTML = '';
 }
 
 /**
@@ -393,22 +730,15 @@ async function saveMapping(autoName = null) {
     name = inputName.trim() || defaultName;
   }
 
-  try {
-    // 保存済みマッピング一覧を取得
-    const { savedMappings = [] } = await chrome.storage.local.get('savedMappings');
-
-    const newMapping = {
-      id: Date.now().toString(),
-      name: name,
-      createdAt: new Date().toISOString(),
-      mappingTable: Object.fromEntries(currentMappingTable),
-      itemCount: currentMappingTable.size
-    };
-
-    // 最大10件まで保存（古いものを削除）
-    const updatedMappings = [newMapping, ...savedMappings].slice(0, 10);
+  // 暗号化のためロック解除が必要
+  if (!(await requestUnlock())) {
+    showToast('ロックを解除しなかったため保存しませんでした', 'warning');
+    return;
+  }
 
-    await chrome.storage.local.set({ savedMappings: updatedMappings });
+  try {
+    // 暗号化して保存（保存期間の設定を超えた古いものは削除）
+    const newMapping = await MappingVault.add({ name, mappingTable: currentMappingTable });
 
     // ドロップダウンを更新
     await loadSavedMappings();
@@ -431,24 +761,203 @@ async function saveMapping(autoName = null) {
 async function loadSavedMappings() {
   try {
     const { savedMappings = [] } = await chrome.storage.local.get('savedMappings');
+    retentionPolicy = await MappingVault.getRetentionPolicy();
+    const isUnlocked = await MappingVault.isUnlocked();
+    savedMappingCache = isUnlocked ? await MappingVault.list() : [];
+    updateVaultLockButton(isUnlocked);
 
     // ドロップダウンをクリア（最初のオプション以外）
+    const selectedId = mappingSelect.value;
     while (mappingSelect.options.length > 1) {
       mappingSelect.remove(1);
     }
 
+    // ロック中は件数のみ表示（選択するとロック解除）
+    if (!isUnlocked && savedMappings.length > 0) {
+      const option = document.createElement('option');
+      option.value = LOCKED_OPTION;
+      option.textContent = `🔒 ロック中 (${savedMappings.length}件)`;
+      mappingSelect.appendChild(option);
+      return;
+    }
+
     // 保存済みマッピングを追加
-    for (const mapping of savedMappings) {
+    for (const mapping of savedMappingCache) {
       const option = document.createElement('option');
       option.value = mapping.id;
-      option.textContent = `${mapping.name} (${mapping.itemCount}件)`;
+      const expiry = formatExpiry(mapping);
+      option.textContent = `${mapping.name} (${mapping.itemCount}件${expiry ? `・${expiry}` : ''})`;
       mappingSelect.appendChild(option);
     }
+
+    // 選択中の対応表が残っていれば選択状態を維持
+    if (savedMappingCache.some(m => m.id === selectedId)) {
+      mappingSelect.value = selectedId;
+    }
   } catch (error) {
     console.error('マッピング読み込みエラー:', error);
   }
 }
 
+/**
+ * 保存済み対応表の削除までの残り時間を表示用に整形
+ * @param {Object} mapping - 保存済みの対応表
+ * @return {string} 期限がない場合は空文字
+ */
+function formatExpiry(mapping) {
+  const expiresAt = MappingVault.expiresAt(mapping, retentionPolicy);
+  if (expiresAt === null) return '';
+
+  const remaining = expiresAt - Date.now();
+  const hours = Math.floor(remaining / (60 * 60 * 1000));
+  if (hours >= 24) return `あと${Math.floor(hours / 24)}日で削除`;
+  if (hours >= 1) return `あと${hours}時間で削除`;
+  return 'まもなく削除';
+}
+
+/**
+ * 保存済み対応表が他の画面・バックグラウンドで変更されたときに一覧を更新
+ * 選択中の対応表が削除された場合は会話セッションの対応表に戻す
+ */
+async function refreshSavedMappings() {
+  const selectedId = mappingSelect.value;
+  await loadSavedMappings();
+
+  if (!selectedId || selectedId === LOCKED_OPTION || !currentMappingName) return;
+
+  if (mappingSelect.value !== selectedId) {
+    currentMappingTable = new Map(currentSession.mappingTable);
+    currentMappingName = null;
+    showToast('選択中の対応表が削除されました', 'warning');
+  }
+  updateMappingStatus();
+}
+
+/**
+ * 保管庫のロックを解除（未設定の場合はパスフレーズを設定）
+ * @return {Promise<boolean>} ロックが解除されたかどうか
+ */
+async function requestUnlock() {
+  if (await MappingVault.isUnlocked()) return true;
+
+  const isSetup = !(await MappingVault.isInitialized());
+  vaultModalTitle.textContent = isSetup ? 'パスフレーズの設定' : '対応表のロックを解除';
+  vaultDescription.textContent = isSetup
+    ? '保存する対応表はこのパスフレーズで暗号化されます。忘れると復号できなくなるため注意してください'
+    : '保存済みの対応表は暗号化されています。パスフレーズを入力してください';
+  vaultSubmitBtn.textContent = isSetup ? '設定' : '解除';
+  vaultPassphraseConfirm.classList.toggle('hidden', !isSetup);
+  vaultPassphrase.autocomplete = isSetup ? 'new-password' : 'current-password';
+  vaultPassphrase.value = '';
+  vaultPassphraseConfirm.value = '';
+  vaultError.textContent = '';
+  vaultForm.dataset.mode = isSetup ? 'setup' : 'unlock';
+
+  vaultModal.classList.remove('hidden');
+  vaultPassphrase.focus();
+
+  return new Promise((resolve) => {
+    resolveVaultModal = resolve;
+  });
+}
+
+/**
+ * ロック解除モーダルの送信
+ */
+async function submitVaultForm(e) {
+  e.preventDefault();
+
+  const passphrase = vaultPassphrase.value;
+  if (!passphrase) {
+    vaultError.textContent = 'パスフレーズを入力してください';
+    return;
+  }
+
+  vaultSubmitBtn.disabled = true;
+  try {
+    if (vaultForm.dataset.mode === 'setup') {
+      if (passphrase.length < 8) {
+        vaultError.textContent = 'パスフレーズは8文字以上にしてください';
+        return;
+      }
+      if (passphrase !== vaultPassphraseConfirm.value) {
+        vaultError.textContent = 'パスフレーズが一致しません';
+        return;
+      }
+      await MappingVault.setup(passphrase);
+    } else if (!(await MappingVault.unlock(passphrase))) {
+      vaultError.textContent = 'パスフレーズが正しくありません';
+      return;
+    }
+
+    closeVaultModal(true);
+    await loadSavedMappings();
+  } catch (error) {
+    console.error('保管庫のロック解除エラー:', error);
+    vaultError.textContent = 'ロックを解除できませんでした';
+  } finally {
+    vaultSubmitBtn.disabled = false;
+    vaultPassphrase.value = '';
+    vaultPassphraseConfirm.value = '';
+  }
+}
+
+/**
+ * ロック解除モーダルを閉じる
+ * @param {boolean} unlocked - ロックが解除されたかどうか
+ */
+function closeVaultModal(unlocked = false) {
+  vaultModal.classList.add('hidden');
+  resolveVaultModal?.(unlocked);
+  resolveVaultModal = null;
+}
+
+/**
+ * 保管庫のロック/ロック解除を切り替え
+ */
+async function toggleVaultLock() {
+  if (await MappingVault.isUnlocked()) {
+    await MappingVault.lock();
+    handleVaultLocked();
+    showToast('対応表をロックしました', 'success');
+  } else if (await requestUnlock()) {
+    showToast('対応表のロックを解除しました', 'success');
+  }
+}
+
+/**
+ * 保管庫がロックされたときに、復号済みの対応表をメモリから破棄
+ */
+function handleVaultLocked() {
+  savedMappingCache = [];
+  if (mappingSelect.value && mappingSelect.value !== LOCKED_OPTION) {
+    currentMappingTable = new Map(currentSession.mappingTable);
+    currentMappingName = null;
+    updateMappingStatus();
+  }
+  loadSavedMappings();
+}
+
+/**
+ * 自動ロック・バックグラウンドでのロックを検知
+ */
+async function checkVaultLock() {
+  const wasUnlocked = vaultLockBtn.classList.contains('unlocked');
+  if (wasUnlocked && !(await MappingVault.isUnlocked())) {
+    handleVaultLocked();
+    showToast('一定時間操作がなかったため対応表をロックしました', 'warning');
+  }
+}
+
+/**
+ * ロックボタンの表示を更新
+ */
+function updateVaultLockButton(isUnlocked) {
+  vaultLockBtn.textContent = isUnlocked ? '🔓' : '🔒';
+  vaultLockBtn.classList.toggle('unlocked', isUnlocked);
+  vaultLockBtn.title = isUnlocked ? '保存済みの対応表をロック' : '保存済みの対応表のロックを解除';
+}
+
 /**
  * マッピングを選択して適用
  */
@@ -456,17 +965,31 @@ async function selectMapping() {
   const selectedId = mappingSelect.value;
 
   if (!selectedId) {
-    // 選択解除の場合は現在のマッピングをクリアしない
+    // 選択解除の場合は会話セッションの対応表に戻す
+    currentMappingTable = new Map(currentSession.mappingTable);
+    currentMappingName = null;
+    updateMappingStatus();
+    return;
+  }
+
+  // ロック中の選択肢を選んだ場合はロックを解除
+  if (selectedId === LOCKED_OPTION) {
+    mappingSelect.value = '';
+    await requestUnlock();
     return;
   }
 
   try {
-    const { savedMappings = [] } = await chrome.storage.local.get('savedMappings');
-    const mapping = savedMappings.find(m => m.id === selectedId);
+    // 操作があったことを保管庫に記録（自動ロックの延長）
+    if (!(await MappingVault.getKey())) {
+      handleVaultLocked();
+      return;
+    }
+    const mapping = savedMappingCache.find(m => m.id === selectedId);
 
     if (mapping) {
       // マッピングテーブルを復元
-      currentMappingTable = new Map(Object.entries(mapping.mappingTable));
+      currentMappingTable = new Map(mapping.mappingTable);
       currentMappingName = mapping.name;
       updateMappingStatus();
       showToast(`対応表を読み込みました（${currentMappingTable.size}件）`, 'success');
@@ -483,20 +1006,22 @@ async function selectMapping() {
 async function deleteMapping() {
   const selectedId = mappingSelect.value;
 
-  if (!selectedId) {
+  if (!selectedId || selectedId === LOCKED_OPTION) {
     showToast('削除する対応表を選択してください', 'warning');
     return;
   }
 
   try {
-    const { savedMappings = [] } = await chrome.storage.local.get('savedMappings');
-    const updatedMappings = savedMappings.filter(m => m.id !== selectedId);
+    // 削除する対応表の代わりに会話セッションの対応表を使用
+    mappingSelect.value = '';
+    currentMappingTable = new Map(currentSession.mappingTable);
+    currentMappingName = null;
+    updateMappingStatus();
 
-    await chrome.storage.local.set({ savedMappings: updatedMappings });
+    await MappingVault.remove(selectedId);
 
     // ドロップダウンを更新
     await loadSavedMappings();
-    mappingSelect.value = '';
 
     showToast('対応表を削除しました', 'success');
   } catch (error) {
@@ -512,6 +1037,13 @@ function openSettings() {
   chrome.runtime.openOptionsPage();
 }
 
+/**
+ * 対応表の管理画面を開く
+ */
+function openMappingManager() {
+  chrome.tabs.create({ url: chrome.runtime.getURL('mappings/index.html') });
+}
+
 /**
  * ダークモードを切り替え
  */
@@ -615,8 +1147,11 @@ async function loadPanelSettings() {
 
 /**
  * バックグラウンドからのメッセージを処理
+ * コンテンツスクリプト宛ての処理は行わない（先に応答するとバックグラウンドの応答が届かなくなる）
  */
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (sender.tab) return false;
+
   switch (message.type) {
     case 'TEXT_FROM_PAGE':
       // ページからテキストを受信
@@ -642,7 +1177,8 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       break;
 
     default:
-      sendResponse({ success: false, error: 'Unknown message type' });
+      // 他の受信者（バックグラウンド）が応答できるよう、応答せずに終了
+      return false;
   }
   return true;
 });
@@ -652,25 +1188,24 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
  */
 async function loadCustomPatterns() {
   try {
-    const { customPatterns = [], disabledPatterns = [] } = await chrome.storage.sync.get([
+    // 管理ポリシーの必須パターン・許可/拒否リストも反映（ポリシーの変更はSETTINGS_UPDATEDで通知される）
+    const settings = await ManagedPolicy.getSettings([
       'customPatterns',
-      'disabledPatterns'
+      'disabledPatterns',
+      'patternRules',
+      'labelScheme',
+      'replacementMode',
+      'maskingStrategies',
+      'hashSalt',
+      'structuredMasking',
+      'structuredFields',
+      'ignoredTerms',
+      'allowlist',
+      'denylist'
     ]);
 
-    // 無効化されたパターンを除外
-    for (const patternKey of disabledPatterns) {
-      maskingEngine.removePattern(patternKey);
-    }
-
-    // カスタムパターンを追加
-    for (const pattern of customPatterns) {
-      try {
-        const regex = new RegExp(pattern.regex, 'g');
-        maskingEngine.addCustomPattern(pattern.key, regex, pattern.label, pattern.description);
-      } catch (e) {
-        console.error('Invalid custom pattern:', pattern, e);
-      }
-    }
+    // 無効化パターン・検知条件・カスタムパターン・ラベル形式・許可/拒否リストを反映
+    maskingEngine.configure(settings);
   } catch (error) {
     console.error('Failed to load custom patterns:', error);
   }
@@ -689,6 +1224,9 @@ async function init() {
   // 保存済みマッピングを読み込む
   await loadSavedMappings();
 
+  // アクティブなタブの会話セッションを読み込む
+  await loadSessionForActiveTab();
+
   // 入力時の自動マスキングは無効（ボタン操作のみ）
   // originalText.addEventListener('input', () => {
   //   clearTimeout(debounceTimer);
@@ -698,17 +1236,41 @@ async function init() {
   pasteBtn.addEventListener('click', pasteFromClipboard);
   maskBtn.addEventListener('click', maskAndSave);
   clearBtn.addEventListener('click', clearText);
+  reviewList.addEventListener('change', handleReviewChange);
+  markSelectionBtn.addEventListener('click', markSelection);
   decryptBtn.addEventListener('click', decryptAIResponse);
+  closeDecryptReportBtn.addEventListener('click', hideDecryptReport);
   settingsBtn.addEventListener('click', openSettings);
 
   // マッピング管理のイベントリスナー
   saveMappingBtn.addEventListener('click', saveMapping);
   deleteMappingBtn.addEventListener('click', deleteMapping);
+  manageMappingsBtn.addEventListener('click', openMappingManager);
   mappingSelect.addEventListener('change', selectMapping);
+  vaultLockBtn.addEventListener('click', toggleVaultLock);
+  vaultForm.addEventListener('submit', submitVaultForm);
+  closeVaultModalBtn.addEventListener('click', () => closeVaultModal(false));
+
+  // 自動ロックを定期的に確認（バックグラウンドでロックされた場合も検知）
+  setInterval(checkVaultLock, 30 * 1000);
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'session' && changes.vaultSession && !changes.vaultSession.newValue) {
+      checkVaultLock();
+    }
+  });
+
+  // 保存期間による自動削除・設定画面での一括削除を反映
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if ((areaName === 'local' && changes.savedMappings) ||
+        (areaName === 'sync' && changes.retentionMaxDays)) {
+      refreshSavedMappings();
+    }
+  });
 
   // 対応表クリックでモーダル表示
   mappingStatus.addEventListener('click', showMappingModal);
   closeModalBtn.addEventListener('click', hideMappingModal);
+  resetSessionBtn.addEventListener('click', resetSession);
   mappingModal.addEventListener('click', (e) => {
     if (e.target === mappingModal) hideMappingModal();
   });
@@ -718,6 +1280,22 @@ async function init() {
   fontSizeUp.addEventListener('click', increaseFontSize);
   fontSizeDown.addEventListener('click', decreaseFontSize);
 
+  // タブの切り替え・会話の移動に合わせてセッションを切り替える
+  chrome.tabs.onActivated.addListener(loadSessionForActiveTab);
+  chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+    if (changeInfo.url && tab.active) {
+      loadSessionForActiveTab();
+    }
+  });
+  chrome.storage.onChanged.addListener(handleSessionStorageChange);
+
+  // 入力欄の「常に無視」で許可リストが更新された場合も反映
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'sync' && (changes.allowlist || changes.denylist)) {
+      loadCustomPatterns();
+    }
+  });
+
   // バックグラウンドに準備完了を通知
   chrome.runtime.sendMessage({ type: 'SIDEPANEL_READY' }).catch(() => {});
 }